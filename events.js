@@ -1,8 +1,8 @@
 'use strict';
 
 const express = require('express');
-const os = require('os');
 const { v4: uuid } = require('uuid');
+const { getLocalAddress } = require('./network');
 const EVENT_LISTENER_ID = Symbol('Event listener ID');
 
 const WebEventEndpoint = {
@@ -42,28 +42,18 @@ const WebEventEndpoint = {
     },
     getHostname() {
         const { port } = this.server.address();
-        const interfaces = os.networkInterfaces();
-        let address;
-        Object.values(interfaces).some((iface) => {
-            const interfaceDetail = iface.find((detail) => detail.family === 'IPv4' && !detail.internal);
-            if(interfaceDetail) {
-                address = interfaceDetail.address;
-                return true;
-            }
-        });
-        return `post://${address}:${port}/`;
+        return `post://${getLocalAddress()}:${port}/`;
     },
     handleEvent(request, response) {
         const { device: id } = request.params;
         // Make sure we know the device and that the request has all the context to identify the event
-        console.log(request.body);
-        if(this.listeners.has(id) && request.body.index) {
+        if(this.listeners.has(id) && request.body.index && request.body.mac) {
             const { index, action, mac } = request.body;
             const deviceName = Array.isArray(mac) ? `dingz-${mac[0].toLowerCase()}` : `dingz-${mac.toLowerCase()}`;
-            console.log(deviceName, index, action, id);
             const device = this.listeners.get(id);
             if(device.id !== deviceName) {
                 console.warn('Impostor device:', deviceName, 'Expected device:', device.id);
+                response.sendStatus(403);
                 return;
             }
             device.updateFromDiscovery(request.ip);
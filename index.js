@@ -3,15 +3,226 @@
 const { Adapter, Device, Property, Event, Database } = require('gateway-addon');
 const manifest = require('./manifest.json');
 const fetch = require('node-fetch');
-const { URLSearchParams } = require('url');
+const { URL, URLSearchParams } = require('url');
 const dnssd = require('dnssd');
 const { connect } = require('mqtt');
+const path = require('path');
+const WebEventEndpoint = require('./events');
+const { getLocalAddress, isLoopback } = require('./network');
+const Storage = require('./storage');
+const { WeeklySchedule } = require('./schedule');
 
 const THERMOSTAT_STATE_TO_MODE = {
     heating: 'heat',
     cooling: 'cool',
     off: 'off',
 };
+const API_TIMEOUT = 10000;
+const MAX_POLL_INTERVAL = 3600;
+const CONFIGURED_DEVICE_RETRY = 60000;
+// Initial and maximum delay between attempts to set up a dingz
+const SETUP_RETRY_DELAY = 10000;
+const MAX_SETUP_RETRY_DELAY = 600000;
+// Waiting for a dingz to come back after a reboot or firmware update
+const RESTART_DELAY = 10000;
+const RESTART_POLL_INTERVAL = 5000;
+const RESTART_TIMEOUT = 600000;
+// API endpoints that decide which properties, actions and events a dingz has
+const LAYOUT_CONFIG = [
+    'device',
+    'thermostat',
+    'outputs',
+    'input_config',
+    'dimmer_config',
+];
+// Property name to field in the device info
+const DEVICE_INFO = {
+    firmwareVersion: 'fw_version',
+    hardwareVersion: 'hw_version',
+    frontModel: 'front_hw_model',
+    puckModel: 'puck_hw_model',
+};
+// Accuracy of the start time derived from the uptime
+const START_TIME_RESOLUTION = 60000;
+// Minimum time between updates of the last seen property
+const LAST_SEEN_RESOLUTION = 60000;
+const DEFAULT_PREFIX = 'dingz';
+const KEY_DEBOUNCE = 250;
+const KEY_PRESS_EVENTS = [
+    'single',
+    'double',
+    'tripple',
+    'quadruple',
+    'quintuple',
+];
+const LED_BLINK_INTERVAL = 500;
+const COLOR_PATTERN = '^#[0-9a-fA-F]{6}$';
+const KEY_PRESS_EVENT_TYPES = {
+    single: 'PressedEvent',
+    double: 'DoublePressedEvent',
+};
+// Key presses that can be bound to a local output in the button config
+const LOCAL_KEY_PRESSES = [
+    'single',
+    'double',
+    'long',
+];
+const NO_LOCAL_OUTPUT = 'none';
+// Action codes of the generic action callback mapped to MQTT button messages
+const GENERIC_BUTTON_ACTIONS = {
+    1: 'm1',
+    2: 'm2',
+    3: 'r',
+    8: 'p',
+};
+const GENERIC_BUTTON_RELEASE = 9;
+const GROUP_ACTIONS = {
+    allLightsOn: {
+        title: 'All lights on',
+        output: 'dimmer',
+        message: { turn: 'on' }
+    },
+    allLightsOff: {
+        title: 'All lights off',
+        output: 'dimmer',
+        message: { turn: 'off' }
+    },
+    allShadesUp: {
+        title: 'All shades up',
+        output: 'shade',
+        message: { motion: 1 }
+    },
+    allShadesDown: {
+        title: 'All shades down',
+        output: 'shade',
+        message: { motion: 2 }
+    },
+    allShadesStop: {
+        title: 'Stop all shades',
+        output: 'shade',
+        message: { motion: 0 }
+    },
+};
+const OUTPUT_COMMANDS = {
+    dimmer: 'light',
+    shade: 'motor',
+};
+// Property name suffix to travel time field in the blind config
+const SHADE_TRAVEL_TIMES = {
+    UpTime: 'shade_up_time',
+    DownTime: 'shade_down_time',
+    LamellaTime: 'lamella_time',
+};
+// How outputs are exposed depending on what is connected to them
+const OUTPUT_KINDS = {
+    light: {
+        title: 'Dimmer',
+        capability: 'Light',
+        level: 'Brightness',
+        levelType: 'BrightnessProperty',
+        dimmable: true
+    },
+    fan: {
+        title: 'Fan',
+        capability: 'MultiLevelSwitch',
+        level: 'Speed',
+        levelType: 'LevelProperty'
+    },
+    heating_valve: {
+        title: 'Valve',
+        capability: 'MultiLevelSwitch',
+        level: 'Opening',
+        levelType: 'LevelProperty'
+    },
+    switch: {
+        title: 'Output',
+        capability: 'OnOffSwitch'
+    },
+};
+// Property name to field in the thermostat config
+const THERMOSTAT_SETTINGS = {
+    thermostatHysteresis: 'hysteresis',
+    temperatureOffset: 'temp_offset',
+    minTargetTemperature: 'min_target_temp',
+    maxTargetTemperature: 'max_target_temp',
+};
+// Property name to field in the PIR config
+const PIR_SETTINGS = {
+    motionSensitivity: 'sensitivity',
+    motionHoldOff: 'hold_off_time',
+    motionLightThreshold: 'light_threshold',
+};
+// Property name suffix to field in the dimmer config
+const DIMMER_SETTINGS = {
+    Minimum: 'min_value',
+    Maximum: 'max_value',
+    PhaseCut: 'phase_cut',
+};
+const SHADE_MOTIONS = [
+    'stop',
+    'up',
+    'down',
+];
+
+function normalizeMac(mac) {
+    return mac.replace(/[:-]/g, '').toUpperCase();
+}
+
+function hex2rgb(color) {
+    return {
+        r: parseInt(color.slice(1, 3), 16),
+        g: parseInt(color.slice(3, 5), 16),
+        b: parseInt(color.slice(5), 16)
+    };
+}
+
+function rgb2hex({ r, g, b }) {
+    return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// based on https://www.rapidtables.com/convert/color/rgb-to-hsv.html
+function rgb2hsv({ r, g, b }) {
+    const ra = r / 255;
+    const ga = g / 255;
+    const ba = b / 255;
+    const max = Math.max(ra, ga, ba);
+    const delta = max - Math.min(ra, ga, ba);
+    let h = 0;
+    if(delta === 0) {
+        h = 0;
+    } else if(max === ra) {
+        h = 60 * (((ga - ba) / delta) % 6);
+    } else if(max === ga) {
+        h = 60 * ((ba - ra) / delta + 2);
+    } else {
+        h = 60 * ((ra - ga) / delta + 4);
+    }
+    return {
+        h: Math.round(h < 0 ? h + 360 : h),
+        s: max === 0 ? 0 : Math.round(delta / max * 100),
+        v: Math.round(max * 100)
+    };
+}
+
+function removeHidden(dict) {
+    for(const [key, property] of Object.entries(dict.properties)) {
+        if(property.visible === false) {
+            delete dict.properties[key];
+        }
+    }
+
+    for(const [key, action] of Object.entries(dict.actions)) {
+        if(action.visible === false) {
+            delete dict.actions[key];
+        }
+    }
+
+    return dict;
+}
 
 // based on https://www.rapidtables.com/convert/color/hsv-to-rgb.html
 function hsv2rgb(hsv) {
@@ -68,20 +279,30 @@ class DingzDiscovery {
 }
 
 class DingzMQTT {
-    constructor(adapter) {
+    constructor(adapter, {
+        address,
+        deviceAddress = address,
+        credentials = {},
+        certificates = {},
+        prefix = DEFAULT_PREFIX
+    }) {
         this.adapter = adapter;
+        this.address = address;
+        this.deviceAddress = deviceAddress;
+        this.credentials = credentials;
+        this.certificates = certificates;
+        this.prefix = prefix;
         this.connect();
     }
 
-    async connect() {
-        const db = new Database("dingz-adapter");
-        await db.open();
-        const { host = 'localhost', port = 1883 } = await db.loadConfig();
-        this.address = `mqtt://${host}:${port}`;
-        this.client = connect(this.address);
+    connect() {
+        this.client = connect(this.address, {
+            ...this.credentials,
+            ...this.certificates
+        });
 
         this.client.on('connect', () => {
-            this.client.subscribe('dingz/#');
+            this.client.subscribe(`${this.prefix}/#`);
         });
 
         this.client.on('error', (error) => {
@@ -89,10 +310,10 @@ class DingzMQTT {
         });
 
         this.client.on('message', (topic, message) => {
-            const [dingzTopic, dingzId, ...localPath] = topic.split('/');
-            if (dingzTopic !== "dingz") {
+            if (!topic.startsWith(`${this.prefix}/`)) {
                 return;
             }
+            const [dingzId, ...localPath] = topic.slice(this.prefix.length + 1).split('/');
             const device = this.adapter.getDevice(`dingz-${dingzId}`);
             let parsedMessage;
             let messageString = message.toString('ascii');
@@ -124,13 +345,33 @@ class DingzMQTT {
                 }
                 return;
             }
+            // Device is attached to another broker
+            if (device.mqtt !== this) {
+                return;
+            }
             device.mqttEvent(localPath.join('/'), parsedMessage);
         });
     }
 
+    getDeviceConfig() {
+        const uri = new URL(this.deviceAddress);
+        if(this.credentials.username) {
+            uri.username = encodeURIComponent(this.credentials.username);
+            uri.password = encodeURIComponent(this.credentials.password || '');
+        }
+        return {
+            uri: uri.toString(),
+            prefix: this.prefix,
+            enable: true,
+            "server.crt": this.certificates.ca || null,
+            "client.crt": this.certificates.cert || null,
+            "client.key": this.certificates.key || null
+        };
+    }
+
     sendEvent(dingzId, localPath, message) {
         return new Promise((resolve, reject) => {
-            this.client.publish(`dingz/${dingzId}/${localPath}`, message, (error) => {
+            this.client.publish(`${this.prefix}/${dingzId}/${localPath}`, message, (error) => {
                 if(error) {
                     reject(error);
                 }
@@ -160,26 +401,49 @@ class BasicDingzProperty extends Property {
 }
 
 class DingzProperty extends BasicDingzProperty {
+    // The dingz handling this property, also when it is exposed on a child thing
+    get dingz() {
+        return this.device instanceof DingzChild ? this.device.parent : this.device;
+    }
+
     async setValue(value) {
         if(this.name === 'led') {
             const action = value ? 1 : 0;
-            await this.device.sendMqttEvent("command/led", { on: action });
+            await this.dingz.sendMqttEvent("command/led", { on: action });
         }
         else if(this.name === 'ledColor') {
             if (!value) {
                 return;
             }
-            const r = parseInt(value.slice(1, 3), 16);
-            const g = parseInt(value.slice(3, 5), 16);
-            const b = parseInt(value.slice(5), 16);
-            await this.device.sendMqttEvent("command/led", { r, g, b });
+            await this.dingz.sendMqttEvent("command/led", hex2rgb(value));
+        }
+        else if(this.name === 'ledBrightness') {
+            const { h, s } = rgb2hsv(hex2rgb(this.dingz.findProperty('ledColor').value || '#ffffff'));
+            await this.dingz.sendMqttEvent("command/led", { h, s, v: value });
         }
         else if(this.name === 'targetTemperature') {
-            const mode = await this.device.getProperty('thermostatMode');
-            await this.device.sendMqttEvent("command/thermostat", {target: value});
+            await this.dingz.sendMqttEvent("command/thermostat", {target: value});
+        }
+        else if(this.name.startsWith('key') && this.name.endsWith('Action')) {
+            await this.dingz.updateKeyBinding(parseInt(this.name.slice(3), 10), 'single', value);
+        }
+        else if(PIR_SETTINGS.hasOwnProperty(this.name)) {
+            const config = await this.dingz.updateConfig('pir_config', 'pirConfig', {
+                [PIR_SETTINGS[this.name]]: value
+            });
+            if(config) {
+                this.dingz.setPirConfig(config);
+            }
+        }
+        else if(THERMOSTAT_SETTINGS.hasOwnProperty(this.name)) {
+            const config = await this.dingz.updateConfig('thermostat_config', 'thermostatConfig', {
+                [THERMOSTAT_SETTINGS[this.name]]: value
+            });
+            if(config) {
+                this.dingz.setThermostatConfig(config);
+            }
         }
         else if(this.name === 'thermostatMode') {
-            const targetTemperature = await this.device.getProperty('targetTemperature');
             let mode = 'off';
             for (const [key, modeVal] of Object.entries(THERMOSTAT_STATE_TO_MODE)) {
                 if(modeVal === value) {
@@ -187,26 +451,41 @@ class DingzProperty extends BasicDingzProperty {
                     break;
                 }
             }
-            await this.device.sendMqttEvent("command/thermostat", {mode});
+            await this.dingz.sendMqttEvent("command/thermostat", {mode});
         }
         else if(this.name.startsWith('shade')) {
             let index = this.name.slice(5);
             const indexNumber = parseInt(index, 10) - 1;
-            if(this.name.endsWith('Lamella')) {
-                await this.device.sendMqttEvent(`command/motor/${indexNumber}`, {lamella: value});
+            const travelTime = Object.keys(SHADE_TRAVEL_TIMES).find((suffix) => this.name.endsWith(suffix));
+            if(travelTime) {
+                await this.dingz.updateConfig('blind_config', 'blindConfig', {
+                    [SHADE_TRAVEL_TIMES[travelTime]]: value
+                }, 'blinds', indexNumber);
+            }
+            else if(this.name.endsWith('Lamella')) {
+                await this.dingz.sendMqttEvent(`command/motor/${indexNumber}`, {lamella: value});
             }
             else {
-                await this.device.sendMqttEvent(`command/motor/${indexNumber}`, {position: value});
+                await this.dingz.sendMqttEvent(`command/motor/${indexNumber}`, {position: value});
             }
         }
         else if(this.name.startsWith('dimmer')) {
             const index = this.name.slice(6);
             const indexNumber = parseInt(index, 10) - 1;
-            if(this.name.endsWith('Brightness')) {
-                await this.device.sendMqttEvent(`command/light/${indexNumber}`, {brightness: value});
+            const setting = Object.keys(DIMMER_SETTINGS).find((suffix) => this.name.endsWith(suffix));
+            if(setting) {
+                await this.dingz.updateConfig('dimmer_config', 'dimmerConfig', {
+                    [DIMMER_SETTINGS[setting]]: value
+                }, 'dimmers', indexNumber);
+            }
+            else if(this.name.endsWith('Fade')) {
+                this.dingz.adapter.storage.set(`${this.dingz.id}/${this.name}`, value);
+            }
+            else if(this.name.endsWith('Brightness')) {
+                await this.dingz.sendLightCommand(indexNumber, {brightness: value});
             }
             else {
-                await this.device.sendMqttEvent(`command/light/${indexNumber}`, {turn: value ? 'on' : 'off'});
+                await this.dingz.sendLightCommand(indexNumber, {turn: value ? 'on' : 'off'});
             }
         }
         return super.setValue(value);
@@ -219,198 +498,428 @@ class Dingz extends Device {
         this.address = deviceSpec.address;
         this.mac = deviceSpec.mac.toUpperCase();
         this.connected = true;
+        this.settings = adapter.getDeviceSettings(deviceSpec);
+        this.holdStarts = new Map();
+        this.outputTypes = {};
+        this.outputKinds = {};
+        this.keyReleaseTimeouts = new Map();
+        this.children = [];
+        // IDs of child things the user removed, they are only added again while pairing
+        this.removedChildren = new Set();
         this.setDescription('Dingz Puck');
+        this.initialized = false;
+        this.setupAttempts = 0;
+        this.setup();
+    }
+
+    setup() {
+        this.initialize()
+            .then(() => {
+                this.setupAttempts = 0;
+            })
+            .catch((error) => {
+                if(this.destroyed) {
+                    return;
+                }
+                this.setupAttempts += 1;
+                const retryDelay = Math.min(SETUP_RETRY_DELAY * (2 ** (this.setupAttempts - 1)), MAX_SETUP_RETRY_DELAY);
+                console.error(`Could not set up ${this.id} (attempt ${this.setupAttempts}), retrying in ${retryDelay / 1000} seconds:`, error);
+                this.setupTimeout = setTimeout(() => {
+                    delete this.setupTimeout;
+                    this.setup();
+                }, retryDelay);
+            });
+    }
+
+    async readSetupInfo(path, required = false) {
+        try {
+            const result = await this.apiCall(path);
+            if(result === undefined) {
+                throw new Error('No response');
+            }
+            return result;
+        }
+        catch(error) {
+            if(required) {
+                throw new Error(`Could not read ${path}: ${error.message}`);
+            }
+            console.warn('Could not read', path, 'of', this.id, error);
+        }
+    }
+
+    async setupConnection() {
+        if(this.getSetting('keepMqttConfig', false)) {
+            await this.attachToMqtt()
+                .catch((error) => console.error('Could not read MQTT configuration of', this.id, error));
+        }
+        else if(this.adapter.mqtt) {
+            this.mqtt = this.adapter.mqtt;
+            await this.configureMqtt()
+                .catch((error) => console.error('Could not configure MQTT for', this.id, error));
+        }
+        if(this.adapter.config.buttonEvents === 'http') {
+            await this.configureActionCallback()
+                .catch((error) => console.error('Could not register action callback for', this.id, error));
+        }
+    }
+
+    // Also runs again to rebuild the dingz when its layout changed
+    async initialize() {
+        this.initialized = false;
+        this.stopPolling();
+        this.stopConfigCheck();
+        const [ info, systemConfig, thermostatState, outputs, inputConfig, buttonConfig, update ] = await Promise.all([
+            this.readSetupInfo('device', true),
+            this.readSetupInfo('system_config'),
+            this.readSetupInfo('thermostat'),
+            this.readSetupInfo('outputs'),
+            this.readSetupInfo('input_config'),
+            this.readSetupInfo('button_config'),
+            this.readSetupInfo('update')
+        ]);
+        const deviceInfo = info[this.mac];
+        if(!deviceInfo) {
+            throw new Error(`${this.address} is not ${this.mac}`);
+        }
+        await this.setupConnection();
+
+        const previousChildren = this.children;
+        this.properties.clear();
+        this.actions.clear();
+        this.events.clear();
+        this.children = [];
         this['@type'] = [
             'ColorControl',
             'PushButton',
             'TemperatureSensor'
         ];
-        this.configureMqtt();
-        Promise.all([
-            this.apiCall('system_config')
-                .then((systemConfig) => {
-                    this.setTitle(`${systemConfig.room_name} - ${systemConfig.dingz_name}`);
-                }),
-            this.apiCall('device')
-                .then((info) => {
-                    const deviceInfo = info[this.mac];
-                    const dipConfig = deviceInfo.dip_config;
-                    this.shade1 = dipConfig === 0 || dipConfig === 2;
-                    this.shade2 = dipConfig <= 1;
-                    this.dimmerGroup1 = dipConfig === 1 || dipConfig === 3;
-                    this.dimmerGroup2 = dipConfig >= 2;
-                    this.motionSensor = deviceInfo.has_pir;
-                }),
-            this.apiCall('thermostat')
-                .then((thermostatState) => {
-                    this.thermostat = thermostatState.active;
-                }),
-            this.apiCall('outputs')
-                .then((outputs) => {
-                    const thermostatOutput = outputs.find((output) => output && output.type === "heating_valve");
-                    if (thermostatOutput && thermostatOutput.enable) {
-                        this.thermostatOutput = thermostatOutput.ph_out_id;
-                    }
-                })
-        ])
-            .then(() => {
-                if(this.motionSensor) {
-                    this['@type'].push('MotionSensor');
-                }
-                if(this.shade1 || this.shade2) {
-                    this['@type'].push('EnergyMonitor');
-                    // no official shades capability :(
-                    this['@type'].push('Shade');
-                    //TODO has lamella cap?
-                }
-                if(this.dimmerGroup1 || this.dimmerGroup2) {
-                    this['@type'].push('Light');
-                    if(!this['@type'].includes('EnergyMonitor')) {
-                        this['@type'].push('EnergyMonitor');
-                    }
-                }
-                if(this.thermostat) {
-                    this['@type'].push('Thermostat');
-                    if(!this['@type'].includes('EnergyMonitor')) {
-                        this['@type'].push('EnergyMonitor');
-                    }
+        this.outputTypes = {};
+        this.outputKinds = {};
+        delete this.thermostatOutput;
+        delete this.input;
+
+        if(systemConfig) {
+            this.setTitle(`${systemConfig.room_name} - ${systemConfig.dingz_name}`);
+        }
+        else if(!this.title) {
+            this.setTitle(`Dingz ${this.mac}`);
+        }
+        const dipConfig = deviceInfo.dip_config;
+        this.shade1 = dipConfig === 0 || dipConfig === 2;
+        this.shade2 = dipConfig <= 1;
+        this.dimmerGroup1 = dipConfig === 1 || dipConfig === 3;
+        this.dimmerGroup2 = dipConfig >= 2;
+        this.motionSensor = deviceInfo.has_pir;
+        this.thermostat = !!(thermostatState && thermostatState.active);
+        if(outputs) {
+            for(const output of outputs) {
+                if(output && output.enable) {
+                    this.outputTypes[output.ph_out_id] = output.type;
                 }
+            }
+            const thermostatOutput = outputs.find((output) => output && output.type === "heating_valve");
+            if (thermostatOutput && thermostatOutput.enable) {
+                this.thermostatOutput = thermostatOutput.ph_out_id;
+            }
+        }
+        const input = inputConfig && inputConfig.inputs && inputConfig.inputs[0];
+        if(input && input.active) {
+            this.input = this.getSetting('inputType', 'button');
+        }
+        this.buttonConfig = buttonConfig;
 
-                this.addProperty(new DingzProperty(this, 'led', {
-                    title: 'LED',
-                    type: 'boolean',
-                    '@type': 'OnOffProperty'
-                }));
-                this.addProperty(new DingzProperty(this, 'ledColor', {
-                    title: 'LED Color',
-                    type: 'string',
-                    '@type': 'ColorProperty'
-                }));
-                this.addProperty(new BasicDingzProperty(this, 'lightLevel', {
-                    title: 'Brightness',
-                    type: 'integer',
-                    unit: 'lux',
-                    minimum: 0,
-                    readOnly: true
-                }));
-                this.addProperty(new BasicDingzProperty(this, 'temperature', {
-                    title: 'Temperature',
-                    type: 'number',
-                    unit: 'degree celsius',
-                    readOnly: true,
-                    '@type': 'TemperatureProperty'
-                }));
+        // Without active thermostat the valve is a normal output
+        if(!this.thermostat) {
+            delete this.thermostatOutput;
+        }
+        if(this.motionSensor) {
+            this['@type'].push('MotionSensor');
+        }
+        if(this.shade1 || this.shade2) {
+            this['@type'].push('EnergyMonitor');
+            // no official shades capability :(
+            this['@type'].push('Shade');
+            //TODO has lamella cap?
+        }
+        if(this.dimmerGroup1 || this.dimmerGroup2) {
+            if(!this['@type'].includes('EnergyMonitor')) {
+                this['@type'].push('EnergyMonitor');
+            }
+        }
+        if(this.input === 'contact') {
+            this['@type'].push('BinarySensor');
+        }
+        if(this.thermostat) {
+            this['@type'].push('Thermostat');
+            if(!this['@type'].includes('EnergyMonitor')) {
+                this['@type'].push('EnergyMonitor');
+            }
+        }
 
-                this.addKey(1);
-                this.addKey(2);
-                this.addKey(3);
-                this.addKey(4);
+        this.addProperty(new DingzProperty(this, 'led', {
+            title: 'LED',
+            type: 'boolean',
+            '@type': 'OnOffProperty'
+        }));
+        this.addProperty(new DingzProperty(this, 'ledColor', {
+            title: 'LED Color',
+            type: 'string',
+            '@type': 'ColorProperty'
+        }));
+        this.addProperty(new DingzProperty(this, 'ledBrightness', {
+            title: 'LED Brightness',
+            type: 'integer',
+            unit: 'percent',
+            minimum: 0,
+            maximum: 100,
+            '@type': 'BrightnessProperty'
+        }));
+        this.addLedActions();
+        this.addProperty(new BasicDingzProperty(this, 'lightLevel', {
+            title: 'Brightness',
+            type: 'integer',
+            unit: 'lux',
+            minimum: 0,
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'temperature', {
+            title: 'Temperature',
+            type: 'number',
+            unit: 'degree celsius',
+            readOnly: true,
+            '@type': 'TemperatureProperty'
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'lastSeen', {
+            title: 'Last Seen',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addDeviceInfo();
+        this.setDeviceInfo(deviceInfo, update);
 
-                if(this.dimmerGroup1) {
-                    this.addDimmer(1);
-                    this.addDimmer(2);
-                }
-                if(this.dimmerGroup2) {
-                    this.addDimmer(3);
-                    this.addDimmer(4);
-                }
+        this.addKey(1, this.getKeyName(1));
+        this.addKey(2, this.getKeyName(2));
+        this.addKey(3, this.getKeyName(3));
+        this.addKey(4, this.getKeyName(4));
+        if(this.input === 'button') {
+            this.addKey(5, this.getKeyName(5, 'Input'));
+        }
+        else if(this.input === 'contact') {
+            this.addProperty(new BasicDingzProperty(this, 'input', {
+                title: 'Input',
+                type: 'boolean',
+                readOnly: true,
+                '@type': 'BooleanProperty'
+            }));
+        }
 
-                if(this.shade1) {
-                    this.addShade(1);
-                }
-                if(this.shade2) {
-                    this.addShade(2);
-                }
-                if(this.motionSensor) {
-                    this.addProperty(new BasicDingzProperty(this, 'motion', {
-                        title: 'Motion',
-                        type: 'boolean',
-                        readOnly: true,
-                        '@type': 'MotionProperty',
-                    }));
-                }
-                if(this.thermostat) {
-                    this.addProperty(new DingzProperty(this, 'targetTemperature', {
-                        title: 'Target Temperature',
-                        type: 'number',
-                        unit: 'degree celsius',
-                        '@type': 'TargetTemperatureProperty',
-                        minimum: -55,
-                        maximum: 125
-                    }));
-                    this.addProperty(new DingzProperty(this, 'thermostatMode', {
-                        title: 'Thermostat Mode',
-                        type: 'string',
-                        enum: [
-                            'off',
-                            'heat',
-                            'cool'
-                        ],
-                        '@type': 'ThermostatModeProperty'
-                    }));
-                    this.addProperty(new BasicDingzProperty(this, 'thermostatState', {
-                        title: 'Thermostat State',
-                        type: 'string',
-                        enum: [
-                            'off',
-                            'heating',
-                            'cooling'
-                        ],
-                        readOnly: true,
-                        '@type': 'HeatingCoolingProperty'
-                    }));
-                    const dimmerID = `dimmer${this.thermostatOutput + 1}`;
-                    if(!this.hasProperty(dimmerID + 'Power')) {
-                        this.addProperty(new BasicDingzProperty(this, dimmerID + 'Power', {
-                            title: 'Thermostat Valve Power',
-                            type: 'number',
-                            unit: 'watt',
-                            '@type': 'InstantaneousPowerProperty',
-                            readOnly: true,
-                            visible: true,
-                            minimum: 0,
-                            maximum: 300
-                        }));
-                    }
-                    else {
-                        this.findProperty(dimmerID + 'Power').title = 'Thermostat Valve Power';
-                    }
-                }
-                const detailPromises = [
-                    undefined,
-                    undefined
-                ];
-                if(this.shade1 || this.shade2) {
-                    detailPromises[0] = this.apiCall('blind_config');
-                }
-                if(this.dimmerGroup1 || this.dimmerGroup2) {
-                    detailPromises[1] = this.apiCall('dimmer_config');
-                }
-                //TODO LED actions (toggle, blink)
-                return Promise.all(detailPromises);
-            })
-            .then(([ blindConfig, dimmerConfig ] = []) => {
-                //TODO keys can now also have names etc.
-                if(blindConfig) {
-                    if(this.shade1) {
-                        this.setShadeConfig(1, blindConfig);
-                    }
-                    if(this.shade2) {
-                        this.setShadeConfig(2, blindConfig);
-                    }
-                }
-                if(dimmerConfig) {
-                    if(this.dimmerGroup1) {
-                        this.setDimmerConfig(1, dimmerConfig);
-                        this.setDimmerConfig(2, dimmerConfig);
-                    }
-                    if(this.dimmerGroup2) {
-                        this.setDimmerConfig(3, dimmerConfig);
-                        this.setDimmerConfig(4, dimmerConfig);
-                    }
-                }
-                this.adapter.handleDeviceAdded(this);
+        if(this.dimmerGroup1) {
+            this.addDimmer(1);
+            this.addDimmer(2);
+        }
+        if(this.dimmerGroup2) {
+            this.addDimmer(3);
+            this.addDimmer(4);
+        }
+
+        if(this.shade1) {
+            this.addShade(1);
+        }
+        if(this.shade2) {
+            this.addShade(2);
+        }
+        for(const [name, groupAction] of Object.entries(GROUP_ACTIONS)) {
+            if((groupAction.output === 'shade' && (this.shade1 || this.shade2)) || (groupAction.output === 'dimmer' && (this.dimmerGroup1 || this.dimmerGroup2))) {
+                this.addAction(name, {
+                    title: groupAction.title
+                });
+            }
+        }
+        if(this.motionSensor) {
+            this.addProperty(new BasicDingzProperty(this, 'motion', {
+                title: 'Motion',
+                type: 'boolean',
+                readOnly: true,
+                '@type': 'MotionProperty',
+            }));
+            this.addProperty(new BasicDingzProperty(this, 'occupied', {
+                title: 'Occupied',
+                type: 'boolean',
+                readOnly: true,
+                '@type': 'BooleanProperty'
+            }));
+            this.addProperty(new DingzProperty(this, 'motionSensitivity', {
+                title: 'Motion Sensitivity',
+                type: 'integer',
+                unit: 'percent',
+                minimum: 0,
+                maximum: 100
+            }));
+            this.addProperty(new DingzProperty(this, 'motionHoldOff', {
+                title: 'Motion Hold-off Time',
+                type: 'integer',
+                unit: 'second',
+                minimum: 0
+            }));
+            this.addProperty(new DingzProperty(this, 'motionLightThreshold', {
+                title: 'Motion Light Threshold',
+                type: 'integer',
+                unit: 'lux',
+                minimum: 0
+            }));
+            this.addEvent('motionStarted', {
+                title: 'Motion started'
+            });
+            this.addEvent('motionEnded', {
+                title: 'Motion ended'
             });
+        }
+        if(this.thermostat) {
+            this.addProperty(new DingzProperty(this, 'targetTemperature', {
+                title: 'Target Temperature',
+                type: 'number',
+                unit: 'degree celsius',
+                '@type': 'TargetTemperatureProperty',
+                minimum: -55,
+                maximum: 125
+            }));
+            this.addProperty(new DingzProperty(this, 'thermostatMode', {
+                title: 'Thermostat Mode',
+                type: 'string',
+                enum: [
+                    'off',
+                    'heat',
+                    'cool'
+                ],
+                '@type': 'ThermostatModeProperty'
+            }));
+            this.addProperty(new BasicDingzProperty(this, 'thermostatState', {
+                title: 'Thermostat State',
+                type: 'string',
+                enum: [
+                    'off',
+                    'heating',
+                    'cooling'
+                ],
+                readOnly: true,
+                '@type': 'HeatingCoolingProperty'
+            }));
+            this.addProperty(new DingzProperty(this, 'thermostatHysteresis', {
+                title: 'Thermostat Hysteresis',
+                type: 'number',
+                unit: 'degree celsius',
+                minimum: 0,
+                maximum: 5,
+                multipleOf: 0.1
+            }));
+            this.addProperty(new DingzProperty(this, 'temperatureOffset', {
+                title: 'Temperature Offset',
+                type: 'number',
+                unit: 'degree celsius',
+                minimum: -10,
+                maximum: 10,
+                multipleOf: 0.1
+            }));
+            this.addProperty(new DingzProperty(this, 'minTargetTemperature', {
+                title: 'Minimum Target Temperature',
+                type: 'number',
+                unit: 'degree celsius',
+                minimum: -55,
+                maximum: 125
+            }));
+            this.addProperty(new DingzProperty(this, 'maxTargetTemperature', {
+                title: 'Maximum Target Temperature',
+                type: 'number',
+                unit: 'degree celsius',
+                minimum: -55,
+                maximum: 125
+            }));
+            const dimmerID = `dimmer${this.thermostatOutput + 1}`;
+            if(!this.hasProperty(dimmerID + 'Power')) {
+                this.addProperty(new BasicDingzProperty(this, dimmerID + 'Power', {
+                    title: 'Thermostat Valve Power',
+                    type: 'number',
+                    unit: 'watt',
+                    '@type': 'InstantaneousPowerProperty',
+                    readOnly: true,
+                    visible: true,
+                    minimum: 0,
+                    maximum: 300
+                }));
+                this.addEnergy(dimmerID + 'Energy', 'Thermostat Valve Energy');
+            }
+            else {
+                this.findProperty(dimmerID + 'Power').title = 'Thermostat Valve Power';
+                this.findProperty(dimmerID + 'Energy').title = 'Thermostat Valve Energy';
+            }
+        }
+        const [ blindConfig, dimmerConfig, thermostatConfig, pirConfig ] = await Promise.all([
+            this.shade1 || this.shade2 ? this.readSetupInfo('blind_config') : undefined,
+            this.dimmerGroup1 || this.dimmerGroup2 ? this.readSetupInfo('dimmer_config') : undefined,
+            this.thermostat ? this.readSetupInfo('thermostat_config') : undefined,
+            this.motionSensor ? this.readSetupInfo('pir_config') : undefined
+        ]);
+        if(blindConfig) {
+            if(this.shade1) {
+                this.setShadeConfig(1, blindConfig);
+            }
+            if(this.shade2) {
+                this.setShadeConfig(2, blindConfig);
+            }
+        }
+        if(thermostatConfig) {
+            this.setThermostatConfig(thermostatConfig);
+        }
+        if(pirConfig) {
+            this.setPirConfig(pirConfig);
+        }
+        if(!dimmerConfig && (this.dimmerGroup1 || this.dimmerGroup2)) {
+            this['@type'].push('Light');
+        }
+        if(dimmerConfig) {
+            if(this.dimmerGroup1) {
+                this.setDimmerConfig(1, dimmerConfig);
+                this.setDimmerConfig(2, dimmerConfig);
+            }
+            if(this.dimmerGroup2) {
+                this.setDimmerConfig(3, dimmerConfig);
+                this.setDimmerConfig(4, dimmerConfig);
+            }
+        }
+        if(this.buttonConfig) {
+            this.addKeyBindings();
+        }
+        if(this.getSetting('splitThings', false)) {
+            this.splitThings();
+        }
+        this.layout = this.getLayout(deviceInfo, thermostatState, outputs, inputConfig, dimmerConfig);
+        // Parts of the layout the dingz did not provide, so later checks don't wait for them
+        this.missingLayoutConfig = Object.entries({
+            thermostat: thermostatState,
+            outputs,
+            input_config: inputConfig,
+            dimmer_config: dimmerConfig
+        })
+            .filter(([ , config ]) => config === undefined)
+            .map(([ path ]) => path);
+        if(this.destroyed) {
+            return;
+        }
+        this.initialized = true;
+        this.adapter.handleDeviceAdded(this);
+        for(const child of this.children) {
+            if(!this.removedChildren.has(child.id)) {
+                this.adapter.handleDeviceAdded(child);
+            }
+        }
+        for(const child of previousChildren) {
+            if(!this.children.some((newChild) => newChild.id === child.id) && this.adapter.devices.hasOwnProperty(child.id)) {
+                this.adapter.handleDeviceRemoved(child);
+            }
+        }
+        this.startPolling();
+        this.startConfigCheck();
+        this.markAlive();
     }
 
     get links() {
@@ -426,24 +935,53 @@ class Dingz extends Device {
     set links(val) {}
 
     asDict() {
-        const dict = super.asDict();
+        return removeHidden(super.asDict());
+    }
 
-        for(const [key, property] of Object.entries(dict.properties)) {
-            if(property.visible === false) {
-                delete dict.properties[key];
-            }
-        }
+    findProperty(propertyName) {
+        const owner = this.children.find((child) => child.properties.has(propertyName)) || this;
+        return owner.properties.get(propertyName);
+    }
 
-        for(const [key, action] of Object.entries(dict.actions)) {
-            if(action.visible === false) {
-                delete dict.actions[key];
-            }
-        }
+    hasProperty(propertyName) {
+        return this.properties.has(propertyName) || this.children.some((child) => child.properties.has(propertyName));
+    }
 
-        return dict;
+    findAction(actionName) {
+        const owner = this.children.find((child) => child.actions.has(actionName)) || this;
+        return owner.actions.get(actionName);
+    }
+
+    findEvent(eventName) {
+        const owner = this.children.find((child) => child.events.has(eventName)) || this;
+        return owner.events.get(eventName);
+    }
+
+    notifyEvent(eventName, data) {
+        const owner = this.children.find((child) => child.events.has(eventName)) || this;
+        owner.eventNotify(new Event(owner, eventName, data));
     }
 
     async performAction(action) {
+        if(action.name.startsWith('led')) {
+            return this.performLedAction(action);
+        }
+        if(GROUP_ACTIONS.hasOwnProperty(action.name)) {
+            return this.performGroupAction(action.name);
+        }
+        if(action.name === 'reboot') {
+            return this.restart('reboot');
+        }
+        if(action.name === 'updateFirmware') {
+            const update = await this.apiCall('update');
+            if(!update || !update.available) {
+                throw new Error(`No firmware update available for ${this.id}`);
+            }
+            return this.restart('update');
+        }
+        if(action.name === 'remapKey') {
+            return this.updateKeyBinding(action.input.key, action.input.press, action.input.output);
+        }
         if(action.name.startsWith('shade')) {
             const index = parseInt(action.name.slice(5, 6)) - 1;
             const actionName = action.name.slice(6);
@@ -463,6 +1001,21 @@ class Dingz extends Device {
                     lamella: action.input.lamella
                 });
             }
+            else if(actionName === "preset") {
+                const { shadePresets = [] } = this.adapter.config;
+                const preset = shadePresets.find((shadePreset) => shadePreset.name === action.input.preset);
+                if(!preset) {
+                    console.error("Unknown shade preset", action.input.preset);
+                    return;
+                }
+                return this.sendMqttEvent(`command/motor/${index}`, {
+                    position: preset.position,
+                    lamella: preset.lamella
+                });
+            }
+            else if(actionName === "calibrate") {
+                return this.apiCall(`shade/${index}/calibrate`, 'POST');
+            }
             else {
                 console.error("Unknown shade action", action.name);
                 return;
@@ -470,34 +1023,158 @@ class Dingz extends Device {
             return this.sendMqttEvent(`command/motor/${index}`, { motion: actionMotion });
         }
         if(action.name.startsWith('dimmer')) {
-            return this.sendMqttEvent(`command/light/${parseInt(action.name.slice(6,7)) - 1}`, {turn: "toggle"});
+            const index = parseInt(action.name.slice(6, 7)) - 1;
+            const actionName = action.name.slice(7);
+            if(actionName === "fade") {
+                return this.sendMqttEvent(`command/light/${index}`, {
+                    brightness: action.input.brightness,
+                    ramp: Math.round(action.input.duration * 1000)
+                });
+            }
+            return this.sendLightCommand(index, {turn: "toggle"});
+        }
+    }
+
+    // Fades with the default fade time configured for the dimmer
+    sendLightCommand(index, message) {
+        const fade = this.adapter.storage.get(`${this.id}/dimmer${index + 1}Fade`);
+        if(fade) {
+            message.ramp = Math.round(fade * 1000);
+        }
+        return this.sendMqttEvent(`command/light/${index}`, message);
+    }
+
+    getOutputs(type) {
+        if(type === 'shade') {
+            return [ 1, 2 ].filter((index) => this[`shade${index}`])
+                .map((index) => `shade${index}`);
         }
+        return [ 1, 2, 3, 4 ].map((index) => `dimmer${index}`)
+            .filter((dimmerID) => this.hasOutput(dimmerID) && (this.outputKinds[dimmerID] || OUTPUT_KINDS.light) === OUTPUT_KINDS.light);
+    }
+
+    hasOutput(outputID) {
+        return this.hasProperty(outputID) && this.findProperty(outputID).visible;
     }
 
-    configureMqtt() {
-        return this.apiCall('services_config', 'POST', JSON.stringify({
-            mqtt: {
-                uri: this.adapter.mqtt.address,
-                enable: true,
-                "server.crt": null
+    async performGroupAction(name, output) {
+        const groupAction = GROUP_ACTIONS[name];
+        // sendMqttEvent only logs a missing device type, so report it for the group
+        if(this.mqtt && !this.deviceType) {
+            throw new Error(`${this.id} has no device type configured`);
+        }
+        let outputs = this.getOutputs(groupAction.output);
+        if(output) {
+            if(!output.startsWith(groupAction.output)) {
+                return;
+            }
+            if(!this.hasOutput(output)) {
+                throw new Error(`${this.id} has no output ${output}`);
+            }
+            outputs = [ output ];
+        }
+        await Promise.all(outputs.map((outputID) => {
+            const index = parseInt(outputID.slice(groupAction.output.length), 10) - 1;
+            if(groupAction.output === 'dimmer') {
+                return this.sendLightCommand(index, Object.assign({}, groupAction.message));
             }
+            return this.sendMqttEvent(`command/${OUTPUT_COMMANDS[groupAction.output]}/${index}`, groupAction.message);
+        }));
+    }
+
+    async configureMqtt() {
+        const mqttConfig = this.mqtt.getDeviceConfig();
+        await this.apiCall('services_config', 'POST', JSON.stringify({
+            mqtt: mqttConfig
         }));
+        const servicesConfig = await this.apiCall('services_config');
+        if(!servicesConfig) {
+            return;
+        }
+        const { mqtt = {} } = servicesConfig;
+        const expectedBroker = new URL(mqttConfig.uri);
+        let acceptedBroker;
+        try {
+            acceptedBroker = new URL(mqtt.uri);
+        }
+        catch(error) {
+            // Invalid URI, fails the check below.
+        }
+        if(!mqtt.enable || !acceptedBroker || acceptedBroker.host !== expectedBroker.host || acceptedBroker.protocol !== expectedBroker.protocol) {
+            throw new Error(`${this.id} did not accept the MQTT broker ${expectedBroker.host}, it is configured to use "${mqtt.uri}"`);
+        }
+        if((mqtt.prefix || DEFAULT_PREFIX) !== mqttConfig.prefix) {
+            throw new Error(`${this.id} did not accept the MQTT topic prefix ${mqttConfig.prefix}, it is configured to use "${mqtt.prefix}"`);
+        }
+    }
+
+    async attachToMqtt() {
+        const servicesConfig = await this.apiCall('services_config');
+        if(!servicesConfig) {
+            return;
+        }
+        const { mqtt } = servicesConfig;
+        if(!mqtt || !mqtt.enable || !mqtt.uri) {
+            console.warn(this.id, 'has no MQTT broker configured, using the REST API instead');
+            return;
+        }
+        this.mqtt = this.adapter.getBroker(mqtt);
+    }
+
+    // Stops the dingz from sending messages to the gateway after it was removed
+    async resetConfig() {
+        if(this.mqtt && this.mqtt === this.adapter.mqtt && !this.getSetting('keepMqttConfig', false)) {
+            await this.apiCall('services_config', 'POST', JSON.stringify({
+                mqtt: {
+                    enable: false,
+                    uri: ''
+                }
+            }));
+        }
+        if(this.adapter.config.buttonEvents === 'http') {
+            await this.apiCall('action/generic/generic', 'POST', '');
+        }
+    }
+
+    async configureActionCallback() {
+        const url = await WebEventEndpoint.addDevice(this);
+        return this.apiCall('action/generic/generic', 'POST', url);
     }
 
     mqttEvent(path, message) {
         const [deviceType, event, ...details] = path.split('/');
         if(deviceType === "online") {
-            this.connectedNotify(message);
+            if(message) {
+                this.markAlive();
+            }
+            else {
+                this.connectedNotify(false);
+            }
             return;
         }
+        if(event !== "command") {
+            this.markAlive();
+        }
         if(deviceType === "announce") {
             this.address = message.ip;
             this.deviceType = message.model;
+            // Announced after a restart, which is when the DIP switches can change
+            this.checkConfig()
+                .catch((error) => console.error('Could not check configuration of', this.id, error));
             return;
         }
         if(deviceType === "last_alive") {
+            // Heartbeat, only keeps the dingz alive
+            return;
+        }
+        // Properties are being rebuilt
+        if(!this.initialized) {
             return;
         }
+        // Only state messages make polling unnecessary
+        if(event === "state") {
+            this.lastMqttUpdate = Date.now();
+        }
         this.deviceType = deviceType;
         switch(event) {
             case "sensor":
@@ -521,19 +1198,23 @@ class Dingz extends Device {
                         break;
                 }
                 break;
-            case "energy":
+            case "energy": {
+                const index = parseInt(details[1], 10) + 1;
                 switch(details[0]) {
                     case "motor":
+                        this.updateEnergy(`shade${index}Energy`, message);
+                        break;
                     case "light":
-                        //TODO no properties for these, not even sure what unit this is?
+                        this.updateEnergy(`dimmer${index}Energy`, message);
                         break;
                 }
                 break;
+            }
             case "state":
                 switch(details[0]) {
                     case "light": {
                         const index = parseInt(details[1], 10) + 1;
-                        this.findProperty(`dimmer${index}`).setCachedValueAndNotify(message.turn === "off");
+                        this.findProperty(`dimmer${index}`).setCachedValueAndNotify(message.turn === "on");
                         this.findProperty(`dimmer${index}Brightness`).setCachedValueAndNotify(message.brightness);
                         break;
                     }
@@ -542,72 +1223,34 @@ class Dingz extends Device {
                         this.findProperty('thermostatState').setCachedValueAndNotify(message.status !== 'off' ? message.mode : 'off');
                         this.findProperty('targetTemperature').setCachedValueAndNotify(message.target);
                         break;
-                    case "motor": {
-                        const index = parseInt(details[1], 10) + 1;
-                        this.findProperty(`shade${index}`).setCachedValueAndNotify(message.hasOwnProperty("goal") ? message.goal : message.position);
-                        if(message.hasOwnProperty("lamella")) {
-                            this.findProperty(`shade${index}Lamella`).setCachedValueAndNotify(message.lamella);
-                        }
+                    case "motor":
+                        this.updateShade(parseInt(details[1], 10) + 1, message);
                         break;
-                    }
                     case "led":
                         this.findProperty('led').setCachedValueAndNotify(message.on === 1);
-                        this.findProperty('ledColor').setCachedValueAndNotify(`#${message.r.toString(16).padStart(2, '0')}${message.g.toString(16).padStart(2, '0')}${message.b.toString(16).padStart(2, '0')}`);
+                        this.findProperty('ledColor').setCachedValueAndNotify(rgb2hex(message));
+                        this.findProperty('ledBrightness').setCachedValueAndNotify(message.hasOwnProperty('v') ? message.v : rgb2hsv(message).v);
                         break;
                     case "input":
-                        console.warn("unhandled state info for input", details[1], message);
+                        if(this.input === 'contact' && details[1] === "0") {
+                            this.findProperty('input').setCachedValueAndNotify(message);
+                        }
                         break;
                 }
 
                 break;
             case "event":
                 switch(details[0]) {
-                    case "button": {
-                        const keyID = `key${parseInt(details[1], 10) + 1}`;
-                        if (keyID === "key5") {
-                            console.warn("Input as button not yet supported");
-                            return;
-                        }
-                        switch(message) {
-                            case "p":
-                                this.findProperty(keyID).setCachedValueAndNotify(true);
-                                break;
-                            case "m1":
-                                this.eventNotify(new Event(this, `${keyID}single`));
-                                this.findProperty(keyID).setCachedValueAndNotify(false);
-                                break;
-                            case "m2":
-                                this.eventNotify(new Event(this, `${keyID}double`));
-                                this.findProperty(keyID).setCachedValueAndNotify(false);
-                                break;
-                            case "m3":
-                                this.eventNotify(new Event(this, `${keyID}tripple`));
-                                this.findProperty(keyID).setCachedValueAndNotify(false);
-                                break;
-                            case "m2":
-                                this.eventNotify(new Event(this, `${keyID}quadruple`));
-                                this.findProperty(keyID).setCachedValueAndNotify(false);
-                                break;
-                            case "h":
-                                break;
-                            case "r":
-                                this.eventNotify(new Event(this, `${keyID}long`));
-                                this.findProperty(keyID).setCachedValueAndNotify(false);
-                                break;
-                            default:
-                                if (message.startsWith("m")) {
-                                    this.findProperty(keyID).setCachedValueAndNotify(false);
-                                }
-                                else {
-                                    console.warn("unhandled button event", message, keyID);
-                                }
-                                break;
+                    case "button":
+                        // Presses arrive through the action callback instead
+                        if(this.adapter.config.buttonEvents === 'http') {
+                            break;
                         }
+                        this.handleButtonEvent(`key${parseInt(details[1], 10) + 1}`, message);
                         break;
-                    }
                     case "pir":
                         if(details[1] === "0") {
-                            this.findProperty("motion").setCachedValueAndNotify(message);
+                            this.updateMotion(message);
                         }
                         break;
                 }
@@ -620,12 +1263,156 @@ class Dingz extends Device {
         }
     }
 
+    handleButtonEvent(keyID, message) {
+        // The input may be configured as contact or inactive
+        if (!this.hasProperty(keyID)) {
+            return;
+        }
+        switch(message) {
+            case "p":
+                this.setKeyPushed(keyID, true);
+                break;
+            case "h":
+                if(!this.holdStarts.has(keyID)) {
+                    this.holdStarts.set(keyID, Date.now());
+                    this.setKeyPushed(keyID, true);
+                    this.eventNotify(new Event(this, `${keyID}hold`));
+                }
+                break;
+            case "r": {
+                const holdStart = this.holdStarts.get(keyID);
+                this.holdStarts.delete(keyID);
+                this.eventNotify(new Event(this, `${keyID}long`));
+                if(holdStart) {
+                    this.eventNotify(new Event(this, `${keyID}release`, Date.now() - holdStart));
+                }
+                this.setKeyPushed(keyID, false);
+                break;
+            }
+            default: {
+                const presses = message.startsWith("m") ? parseInt(message.slice(1), 10) : NaN;
+                if (presses > 0 && presses <= KEY_PRESS_EVENTS.length) {
+                    this.eventNotify(new Event(this, `${keyID}${KEY_PRESS_EVENTS[presses - 1]}`));
+                }
+                else if (presses > KEY_PRESS_EVENTS.length) {
+                    this.eventNotify(new Event(this, `${keyID}multi`, presses));
+                }
+                else if (!message.startsWith("m")) {
+                    console.warn("unhandled button event", message, keyID);
+                    break;
+                }
+                this.setKeyPushed(keyID, false);
+                break;
+            }
+        }
+    }
+
+    setKeyPushed(keyID, pushed) {
+        clearTimeout(this.keyReleaseTimeouts.get(keyID));
+        this.keyReleaseTimeouts.delete(keyID);
+        if(pushed) {
+            this.findProperty(keyID).setCachedValueAndNotify(true);
+        }
+        else {
+            // Debounce so a quick sequence of presses doesn't toggle the property for each press
+            this.keyReleaseTimeouts.set(keyID, setTimeout(() => {
+                this.keyReleaseTimeouts.delete(keyID);
+                this.findProperty(keyID).setCachedValueAndNotify(false);
+            }, KEY_DEBOUNCE));
+        }
+    }
+
+    handleGenericEvent(index, action) {
+        const keyID = `key${index}`;
+        const actionCode = parseInt(action, 10);
+        if(actionCode === GENERIC_BUTTON_RELEASE) {
+            if(this.hasProperty(keyID)) {
+                this.findProperty(keyID).setCachedValueAndNotify(false);
+            }
+            return;
+        }
+        if(!GENERIC_BUTTON_ACTIONS.hasOwnProperty(actionCode)) {
+            console.warn("unhandled generic action", action, keyID);
+            return;
+        }
+        this.handleButtonEvent(keyID, GENERIC_BUTTON_ACTIONS[actionCode]);
+    }
+
     async sendMqttEvent(path, message) {
+        if(!this.mqtt) {
+            return this.restCommand(path, message);
+        }
         if(!this.deviceType) {
             console.error("Device type not configured, can't publish MQTT messages for device.");
             return;
         }
-        return this.adapter.mqtt.sendEvent(this.mac.toLowerCase(), `${this.deviceType}/${path}`, JSON.stringify(message));
+        return this.mqtt.sendEvent(this.mac.toLowerCase(), `${this.deviceType}/${path}`, JSON.stringify(message));
+    }
+
+    // Translates MQTT commands to the REST API for setups without a broker.
+    restCommand(path, message) {
+        const [, deviceType, index] = path.split('/');
+        switch(deviceType) {
+            case "led": {
+                const params = {};
+                if(message.hasOwnProperty('on')) {
+                    params.action = message.on ? 'on' : 'off';
+                }
+                if(message.hasOwnProperty('r')) {
+                    params.action = 'on';
+                    params.color = rgb2hex(message).slice(1).toUpperCase();
+                    params.mode = 'rgb';
+                }
+                else if(message.hasOwnProperty('h')) {
+                    params.action = 'on';
+                    params.color = `${message.h};${message.s};${message.v}`;
+                    params.mode = 'hsv';
+                }
+                if(message.ramp) {
+                    params.ramp = message.ramp;
+                }
+                return this.apiCall('led/set', 'POST', new URLSearchParams(params));
+            }
+            case "thermostat": {
+                const params = {};
+                if(message.hasOwnProperty('target')) {
+                    params.target_temp = message.target;
+                }
+                if(message.hasOwnProperty('mode')) {
+                    params.enable = message.mode !== 'off';
+                    if(params.enable) {
+                        params.mode = message.mode;
+                    }
+                }
+                return this.apiCall('thermostat', 'POST', new URLSearchParams(params));
+            }
+            case "motor": {
+                if(message.hasOwnProperty('motion')) {
+                    return this.apiCall(`shade/${index}/${SHADE_MOTIONS[message.motion]}`, 'POST');
+                }
+                const params = {};
+                if(message.position !== undefined) {
+                    params.blind = message.position;
+                }
+                if(message.lamella !== undefined) {
+                    params.lamella = message.lamella;
+                }
+                return this.apiCall(`shade/${index}`, 'POST', new URLSearchParams(params));
+            }
+            case "light": {
+                const params = {};
+                if(message.ramp) {
+                    params.ramp = message.ramp;
+                }
+                if(message.hasOwnProperty('brightness')) {
+                    params.value = message.brightness;
+                    return this.apiCall(`dimmer/${index}/on`, 'POST', new URLSearchParams(params));
+                }
+                return this.apiCall(`dimmer/${index}/${message.turn}`, 'POST', new URLSearchParams(params));
+            }
+            default:
+                console.error("No REST equivalent for", path);
+        }
     }
 
     async apiCall(path, method = 'GET', body) {
@@ -637,7 +1424,8 @@ class Dingz extends Device {
             const response = await fetch(`http://${this.address}/api/v1/${path}`, {
                 method,
                 redirect: 'follow',
-                body
+                body,
+                timeout: API_TIMEOUT
             });
             if(response.ok && response.status < 400) {
                 if(response.status !== 204 && method !== 'POST') {
@@ -650,7 +1438,7 @@ class Dingz extends Device {
             }
         }
         catch(error) {
-            if(error.type === 'system' && (error.code === 'ETIMEDOUT' || error.code === 'EHOSTUNREACH')) {
+            if(error.type === 'request-timeout' || (error.type === 'system' && (error.code === 'ETIMEDOUT' || error.code === 'EHOSTUNREACH'))) {
                 this.connectedNotify(false);
             }
             else {
@@ -659,16 +1447,178 @@ class Dingz extends Device {
         }
     }
 
+    addLedActions() {
+        this.addAction('ledToggle', {
+            '@type': 'ToggleAction',
+            title: 'Toggle LED'
+        });
+        this.addAction('ledBlink', {
+            title: 'Blink LED',
+            input: {
+                type: 'object',
+                required: [
+                    'count'
+                ],
+                properties: {
+                    count: {
+                        type: 'integer',
+                        minimum: 1,
+                        maximum: 20
+                    },
+                    color: {
+                        type: 'string',
+                        pattern: COLOR_PATTERN
+                    }
+                }
+            }
+        });
+        this.addAction('ledFade', {
+            title: 'Fade LED',
+            input: {
+                type: 'object',
+                required: [
+                    'color',
+                    'duration'
+                ],
+                properties: {
+                    color: {
+                        type: 'string',
+                        pattern: COLOR_PATTERN
+                    },
+                    duration: {
+                        type: 'number',
+                        unit: 'second',
+                        minimum: 0,
+                        maximum: 60
+                    }
+                }
+            }
+        });
+        this.addAction('ledShowColor', {
+            title: 'Show color on LED',
+            input: {
+                type: 'object',
+                required: [
+                    'color',
+                    'duration'
+                ],
+                properties: {
+                    color: {
+                        type: 'string',
+                        pattern: COLOR_PATTERN
+                    },
+                    duration: {
+                        type: 'number',
+                        unit: 'second',
+                        minimum: 0,
+                        maximum: 3600
+                    }
+                }
+            }
+        });
+    }
+
+    async performLedAction(action) {
+        // Only the latest action gets to change the LED, older ones stop at their next step.
+        const animation = {};
+        const previousAnimation = this.ledAnimation;
+        this.ledAnimation = animation;
+        const isCurrent = () => this.ledAnimation === animation;
+        if(previousAnimation) {
+            this.stopLedAnimation(previousAnimation);
+        }
+        // Restore what the LED showed before any animation changed it.
+        const previousState = previousAnimation ? previousAnimation.previousState : {
+            on: this.findProperty('led').value ? 1 : 0,
+            ...hex2rgb(this.findProperty('ledColor').value || '#ffffff')
+        };
+        animation.previousState = previousState;
+        const { input = {} } = action;
+        try {
+            switch(action.name) {
+                case 'ledToggle':
+                    await this.sendMqttEvent("command/led", { on: this.findProperty('led').value ? 0 : 1 });
+                    break;
+                case 'ledBlink': {
+                    const color = input.color ? hex2rgb(input.color) : previousState;
+                    for(let blink = 0; blink < input.count && isCurrent(); ++blink) {
+                        await this.sendMqttEvent("command/led", { on: 1, r: color.r, g: color.g, b: color.b });
+                        await delay(LED_BLINK_INTERVAL);
+                        if(!isCurrent()) {
+                            return;
+                        }
+                        await this.sendMqttEvent("command/led", { on: 0 });
+                        await delay(LED_BLINK_INTERVAL);
+                    }
+                    if(isCurrent()) {
+                        await this.sendMqttEvent("command/led", previousState);
+                    }
+                    break;
+                }
+                case 'ledFade':
+                    await this.sendMqttEvent("command/led", {
+                        on: 1,
+                        ...hex2rgb(input.color),
+                        ramp: Math.round(input.duration * 1000)
+                    });
+                    break;
+                case 'ledShowColor':
+                    await this.sendMqttEvent("command/led", { on: 1, ...hex2rgb(input.color) });
+                    await new Promise((resolve) => {
+                        animation.resolve = resolve;
+                        animation.timeout = setTimeout(resolve, input.duration * 1000);
+                    });
+                    if(isCurrent()) {
+                        await this.sendMqttEvent("command/led", previousState);
+                    }
+                    break;
+                default:
+                    console.error("Unknown LED action", action.name);
+            }
+        }
+        finally {
+            if(isCurrent()) {
+                delete this.ledAnimation;
+            }
+        }
+    }
+
+    // Ends the wait of a timed color early, callers replace the current animation first
+    stopLedAnimation(animation) {
+        if(animation.timeout) {
+            clearTimeout(animation.timeout);
+            animation.resolve();
+        }
+    }
+
     addShade(index) {
-        //TODO should have target position and current position.
         this.addProperty(new DingzProperty(this, `shade${index}`, {
-            title: `Shade ${index} Position`,
+            title: `Shade ${index} Target Position`,
             type: 'integer',
             minimum: 0,
             maximum: 100,
             '@type': 'LevelProperty',
             unit: 'percent'
         }));
+        this.addProperty(new BasicDingzProperty(this, `shade${index}Position`, {
+            title: `Shade ${index} Position`,
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            '@type': 'LevelProperty',
+            unit: 'percent',
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, `shade${index}Moving`, {
+            title: `Shade ${index} Movement`,
+            type: 'string',
+            enum: [
+                'up',
+                'down',
+                'stopped'
+            ],
+            readOnly: true
+        }));
         this.addProperty(new DingzProperty(this, `shade${index}Lamella`, {
             title: `Shade ${index} Lamella`,
             type: 'integer',
@@ -686,6 +1636,7 @@ class Dingz extends Device {
             minimum: 0,
             maximum: 300
         }));
+        this.addEnergy(`shade${index}Energy`, `Shade ${index} Energy`);
         this.addAction(`shade${index}up`, {
             title: `Shade ${index} up`
         });
@@ -712,26 +1663,154 @@ class Dingz extends Device {
                     }
                 }
             }
-        })
+        });
+        this.addAction(`shade${index}calibrate`, {
+            title: `Calibrate shade ${index}`
+        });
+        const { shadePresets = [] } = this.adapter.config;
+        if(shadePresets.length) {
+            this.addAction(`shade${index}preset`, {
+                title: `Shade ${index} preset`,
+                input: {
+                    type: "object",
+                    required: [
+                        "preset"
+                    ],
+                    properties: {
+                        preset: {
+                            type: "string",
+                            enum: shadePresets.map((preset) => preset.name)
+                        }
+                    }
+                }
+            });
+        }
+        for(const [suffix, title] of [
+            [ 'UpTime', 'Up Travel Time' ],
+            [ 'DownTime', 'Down Travel Time' ],
+            [ 'LamellaTime', 'Lamella Travel Time' ]
+        ]) {
+            this.addProperty(new DingzProperty(this, `shade${index}${suffix}`, {
+                title: `Shade ${index} ${title}`,
+                type: 'number',
+                unit: 'second',
+                minimum: 0,
+                maximum: 300
+            }));
+        }
+        this.addEvent(`shade${index}reached`, {
+            title: `Shade ${index} reached target position`,
+            type: 'integer',
+            unit: 'percent'
+        });
+        this.addEvent(`shade${index}stopped`, {
+            title: `Shade ${index} stopped before target position`,
+            type: 'integer',
+            unit: 'percent'
+        });
         //TODO initialize action?
     }
 
     setShadeConfig(index, config) {
+        this.blindConfig = config;
         const shadeConfig = config.blinds[index - 1];
         const lamellaProperty = this.findProperty(`shade${index}Lamella`);
         lamellaProperty.visible = shadeConfig.type === 'blind';
-        this.actions.get(`shade${index}position`).visible = lamellaProperty.visible;
+        this.findProperty(`shade${index}LamellaTime`).visible = lamellaProperty.visible;
+        for(const [suffix, field] of Object.entries(SHADE_TRAVEL_TIMES)) {
+            if(shadeConfig.hasOwnProperty(field)) {
+                this.findProperty(`shade${index}${suffix}`).setCachedValue(shadeConfig[field]);
+            }
+        }
+        this.findAction(`shade${index}position`).visible = lamellaProperty.visible;
         const levelProperty = this.findProperty(`shade${index}`);
+        const positionProperty = this.findProperty(`shade${index}Position`);
         levelProperty.minimum = shadeConfig.min_value;
         levelProperty.maximum = shadeConfig.max_value;
+        positionProperty.minimum = shadeConfig.min_value;
+        positionProperty.maximum = shadeConfig.max_value;
         if(shadeConfig.name) {
-            levelProperty.title = shadeConfig.name;
+            levelProperty.title = `${shadeConfig.name} Target Position`;
+            positionProperty.title = `${shadeConfig.name} Position`;
+            this.findProperty(`shade${index}Moving`).title = `${shadeConfig.name} Movement`;
+            this.findEvent(`shade${index}reached`).title = `${shadeConfig.name} reached target position`;
+            this.findEvent(`shade${index}stopped`).title = `${shadeConfig.name} stopped before target position`;
             lamellaProperty.title = `${shadeConfig.name} Lamella`;
             this.findProperty(`shade${index}Power`).title = `${shadeConfig.name} Power`;
-            this.actions.get(`shade${index}up`).title = `${shadeConfig.name} up`;
-            this.actions.get(`shade${index}down`).title = `${shadeConfig.name} down`;
-            this.actions.get(`shade${index}stop`).title = `Stop ${shadeConfig.name}`;
-            this.actions.get(`shade${index}position`).title = `Set ${shadeConfig.name} position`;
+            this.findProperty(`shade${index}Energy`).title = `${shadeConfig.name} Energy`;
+            this.findAction(`shade${index}up`).title = `${shadeConfig.name} up`;
+            this.findAction(`shade${index}down`).title = `${shadeConfig.name} down`;
+            this.findAction(`shade${index}stop`).title = `Stop ${shadeConfig.name}`;
+            this.findAction(`shade${index}position`).title = `Set ${shadeConfig.name} position`;
+            this.findAction(`shade${index}calibrate`).title = `Calibrate ${shadeConfig.name}`;
+            const presetAction = this.findAction(`shade${index}preset`);
+            if(presetAction) {
+                presetAction.title = `${shadeConfig.name} preset`;
+            }
+            this.findProperty(`shade${index}UpTime`).title = `${shadeConfig.name} Up Travel Time`;
+            this.findProperty(`shade${index}DownTime`).title = `${shadeConfig.name} Down Travel Time`;
+            this.findProperty(`shade${index}LamellaTime`).title = `${shadeConfig.name} Lamella Travel Time`;
+        }
+    }
+
+    // Writes the changes to a config of the dingz, into the entry at index of the list if given
+    async updateConfig(path, cacheKey, changes, list, index) {
+        const current = this[cacheKey] || await this.apiCall(path);
+        if(!current) {
+            console.error(`Could not read ${path} of`, this.id);
+            return;
+        }
+        if(list) {
+            const entries = current[list].map((entry, entryIndex) => entryIndex === index ? Object.assign({}, entry, changes) : entry);
+            await this.apiCall(path, 'POST', JSON.stringify({ [list]: entries }));
+            this[cacheKey] = Object.assign({}, current, { [list]: entries });
+        }
+        else {
+            const config = Object.assign({}, current, changes);
+            await this.apiCall(path, 'POST', JSON.stringify(config));
+            this[cacheKey] = config;
+        }
+        return this[cacheKey];
+    }
+
+    updateShade(index, state) {
+        const shadeID = `shade${index}`;
+        const targetProperty = this.findProperty(shadeID);
+        const movingProperty = this.findProperty(shadeID + 'Moving');
+        if(!targetProperty) {
+            return;
+        }
+        let moving = state.moving;
+        if(moving === undefined && state.hasOwnProperty('goal')) {
+            if(state.goal > state.position) {
+                moving = 'up';
+            }
+            else if(state.goal < state.position) {
+                moving = 'down';
+            }
+        }
+        if(!moving || moving === 'stop') {
+            moving = 'stopped';
+        }
+        const wasMoving = movingProperty.value && movingProperty.value !== 'stopped';
+        const target = state.hasOwnProperty('goal') ? state.goal : targetProperty.value;
+        this.findProperty(shadeID + 'Position').setCachedValueAndNotify(state.position);
+        movingProperty.setCachedValueAndNotify(moving);
+        if(state.hasOwnProperty('lamella')) {
+            this.findProperty(shadeID + 'Lamella').setCachedValueAndNotify(state.lamella);
+        }
+        if(moving === 'stopped') {
+            if(wasMoving) {
+                const reachedTarget = target === undefined || Math.abs(target - state.position) <= 1;
+                this.notifyEvent(shadeID + (reachedTarget ? 'reached' : 'stopped'), state.position);
+            }
+            // Keep a freshly set target until the shade starts moving
+            if(wasMoving || target === undefined) {
+                targetProperty.setCachedValueAndNotify(state.position);
+            }
+        }
+        else if(target !== undefined) {
+            targetProperty.setCachedValueAndNotify(target);
         }
     }
 
@@ -763,115 +1842,857 @@ class Dingz extends Device {
             minimum: 0,
             maximum: 300
         }));
+        this.addEnergy(dimmerID + 'Energy', `Dimmer ${index} Energy`);
+        this.addProperty(new DingzProperty(this, dimmerID + 'Fade', {
+            title: `Dimmer ${index} Fade Time`,
+            type: 'number',
+            unit: 'second',
+            minimum: 0,
+            maximum: 60,
+            visible
+        }));
+        this.findProperty(dimmerID + 'Fade').setCachedValue(this.adapter.storage.get(`${this.id}/${dimmerID}Fade`) || 0);
+        this.addProperty(new DingzProperty(this, dimmerID + 'Minimum', {
+            title: `Dimmer ${index} Minimum Brightness`,
+            type: 'integer',
+            unit: 'percent',
+            minimum: 0,
+            maximum: 100,
+            visible
+        }));
+        this.addProperty(new DingzProperty(this, dimmerID + 'Maximum', {
+            title: `Dimmer ${index} Maximum Brightness`,
+            type: 'integer',
+            unit: 'percent',
+            minimum: 0,
+            maximum: 100,
+            visible
+        }));
+        this.addProperty(new DingzProperty(this, dimmerID + 'PhaseCut', {
+            title: `Dimmer ${index} Phase Cut`,
+            type: 'string',
+            enum: [
+                'trailing_edge',
+                'leading_edge'
+            ],
+            visible
+        }));
         if(visible) {
             this.addAction(dimmerID + 'toggle', {
                 '@type': 'ToggleAction',
                 title: `Toggle dimmer ${index}`
             });
+            this.addAction(dimmerID + 'fade', {
+                title: `Fade dimmer ${index}`,
+                input: {
+                    type: 'object',
+                    required: [
+                        'brightness',
+                        'duration'
+                    ],
+                    properties: {
+                        brightness: {
+                            type: 'integer',
+                            unit: 'percent',
+                            minimum: 0,
+                            maximum: 100
+                        },
+                        duration: {
+                            type: 'number',
+                            unit: 'second',
+                            minimum: 0,
+                            maximum: 60
+                        }
+                    }
+                }
+            });
         }
     }
 
     setDimmerConfig(index, dimmerConfig) {
+        this.dimmerConfig = dimmerConfig;
         if(index - 1 !== this.thermostatOutput) {
             const config = dimmerConfig.dimmers[index - 1];
-            const visible = config.active && config.type == "light";
+            const type = config.type || this.outputTypes[index - 1];
+            const visible = config.active && type !== "not_connected";
+            const kind = OUTPUT_KINDS[type] || OUTPUT_KINDS.switch;
             const dimmerID = `dimmer${index}`;
+            const name = config.name || `${kind.title} ${index}`;
+            this.outputKinds[dimmerID] = kind;
             const dimmerProperty = this.findProperty(dimmerID);
             const dimmerBrightnessProperty = this.findProperty(dimmerID + 'Brightness');
             const dimmerPowerProperty = this.findProperty(dimmerID + 'Power');
-            const toggleAction = this.actions.get(dimmerID + 'toggle');
+            const dimmerEnergyProperty = this.findProperty(dimmerID + 'Energy');
+            const dimmerFadeProperty = this.findProperty(dimmerID + 'Fade');
+            const toggleAction = this.findAction(dimmerID + 'toggle');
+            const fadeAction = this.findAction(dimmerID + 'fade');
+            // Split dingz expose the capability on the child thing
+            if(visible && !this.children.length && !this['@type'].includes(kind.capability)) {
+                this['@type'].push(kind.capability);
+            }
             dimmerProperty.visible = visible;
-            dimmerBrightnessProperty.visible = visible;
+            dimmerBrightnessProperty.visible = visible && !!kind.level;
+            dimmerBrightnessProperty['@type'] = kind.levelType;
             dimmerPowerProperty.visible = visible;
+            dimmerEnergyProperty.visible = visible;
+            dimmerFadeProperty.visible = visible && !!kind.dimmable;
             toggleAction.visible = visible;
-            if(config.name) {
-                dimmerProperty.title = config.name;
-                dimmerBrightnessProperty.title = `${config.name} Brightness`;
-                dimmerPowerProperty.title = `${config.name} Power`;
-                toggleAction.title = `Toggle ${config.name}`;
+            fadeAction.visible = visible && !!kind.dimmable;
+            for(const [suffix, field] of Object.entries(DIMMER_SETTINGS)) {
+                const settingProperty = this.findProperty(dimmerID + suffix);
+                settingProperty.visible = visible && !!kind.dimmable && config.hasOwnProperty(field);
+                if(config.hasOwnProperty(field)) {
+                    settingProperty.setCachedValue(config[field]);
+                }
+            }
+            dimmerProperty.title = name;
+            dimmerBrightnessProperty.title = `${name} ${kind.level || 'Brightness'}`;
+            dimmerPowerProperty.title = `${name} Power`;
+            dimmerEnergyProperty.title = `${name} Energy`;
+            dimmerFadeProperty.title = `${name} Fade Time`;
+            this.findProperty(dimmerID + 'Minimum').title = `${name} Minimum Brightness`;
+            this.findProperty(dimmerID + 'Maximum').title = `${name} Maximum Brightness`;
+            this.findProperty(dimmerID + 'PhaseCut').title = `${name} Phase Cut`;
+            toggleAction.title = `Toggle ${name}`;
+            fadeAction.title = `Fade ${name}`;
+        }
+    }
+
+    setThermostatConfig(config) {
+        this.thermostatConfig = config;
+        for(const [name, field] of Object.entries(THERMOSTAT_SETTINGS)) {
+            const property = this.findProperty(name);
+            property.visible = config.hasOwnProperty(field);
+            if(property.visible) {
+                property.setCachedValueAndNotify(config[field]);
             }
-            if(!visible) {
-                this.actions.delete(dimmerID + 'toggle');
+        }
+        const targetTempProp = this.findProperty('targetTemperature');
+        if(config.hasOwnProperty('min_target_temp')) {
+            targetTempProp.minimum = config.min_target_temp;
+        }
+        if(config.hasOwnProperty('max_target_temp')) {
+            targetTempProp.maximum = config.max_target_temp;
+        }
+    }
+
+    setPirConfig(config) {
+        this.pirConfig = config;
+        for(const [name, field] of Object.entries(PIR_SETTINGS)) {
+            const property = this.findProperty(name);
+            property.visible = config.hasOwnProperty(field);
+            if(property.visible) {
+                property.setCachedValueAndNotify(config[field]);
             }
         }
     }
 
-    addKey(index) {
+    updateMotion(motion) {
+        const motionProperty = this.findProperty('motion');
+        if(!motionProperty || motionProperty.value === motion) {
+            return;
+        }
+        motionProperty.setCachedValueAndNotify(motion);
+        this.notifyEvent(motion ? 'motionStarted' : 'motionEnded');
+        clearTimeout(this.occupancyTimeout);
+        delete this.occupancyTimeout;
+        const occupiedProperty = this.findProperty('occupied');
+        if(motion) {
+            occupiedProperty.setCachedValueAndNotify(true);
+        }
+        else {
+            const occupancyTimeout = this.getSetting('occupancyTimeout', 300);
+            this.occupancyTimeout = setTimeout(() => {
+                delete this.occupancyTimeout;
+                occupiedProperty.setCachedValueAndNotify(false);
+            }, occupancyTimeout * 1000);
+        }
+    }
+
+    addEnergy(name, title) {
+        this.addProperty(new BasicDingzProperty(this, name, {
+            title,
+            type: 'number',
+            unit: 'kilowatt hour',
+            readOnly: true,
+            minimum: 0
+        }));
+        const counter = this.adapter.storage.get(`${this.id}/${name}`);
+        if(counter) {
+            this.findProperty(name).setCachedValue(counter.total / 1000);
+        }
+    }
+
+    // The dingz counts Wh since it booted, sum up the differences to survive restarts
+    updateEnergy(name, reading) {
+        const property = this.findProperty(name);
+        if(!property || typeof reading !== 'number') {
+            return;
+        }
+        const key = `${this.id}/${name}`;
+        const counter = this.adapter.storage.get(key) || { total: 0, last: 0 };
+        if(reading === counter.last) {
+            return;
+        }
+        // Counter was reset by a reboot of the dingz
+        const consumed = reading > counter.last ? reading - counter.last : reading;
+        counter.total += consumed;
+        counter.last = reading;
+        this.adapter.storage.set(key, counter);
+        property.setCachedValueAndNotify(counter.total / 1000);
+    }
+
+    addKey(index, title = `Key ${index}`) {
         const keyID = `key${index}`;
         this.properties.set(keyID, new BasicDingzProperty(this, keyID, {
-            title: `Key ${index}`,
+            title,
             type: 'boolean',
             readOnly: true,
             '@type': 'PushedProperty'
         }));
-        this.addEvent(keyID + 'single', {
-            '@type': 'PressedEvent',
-            title: `Key ${index} single press`
-        });
-        this.addEvent(keyID + 'double', {
-            '@type': 'DoublePressedEvent',
-            title: `Key ${index} double press`
-        });
-        this.addEvent(keyID + 'tripple', {
-            title: `Key ${index} tripple press`
-        });
-        this.addEvent(keyID + 'quadruple', {
-            title: `Key ${index} quadruple press`
+        for(const presses of KEY_PRESS_EVENTS) {
+            this.addEvent(keyID + presses, {
+                '@type': KEY_PRESS_EVENT_TYPES[presses]
+            });
+        }
+        this.addEvent(keyID + 'multi', {
+            type: 'integer',
+            minimum: KEY_PRESS_EVENTS.length + 1
         });
         this.addEvent(keyID + 'long', {
-            '@type': 'LongPressedEvent',
-            title: `Key ${index} long press`
+            '@type': 'LongPressedEvent'
+        });
+        this.addEvent(keyID + 'hold', {});
+        this.addEvent(keyID + 'release', {
+            type: 'integer',
+            unit: 'millisecond',
+            minimum: 0
         });
+        this.setKeyTitle(keyID, title);
     }
 
-    updateFromDiscovery(address) {
-        this.connectedNotify(true);
-        if(address && !address.includes(':')) {
-            this.address = address;
+    setKeyTitle(keyID, title) {
+        this.findProperty(keyID).title = title;
+        for(const presses of KEY_PRESS_EVENTS) {
+            this.findEvent(keyID + presses).title = `${title} ${presses} press`;
+        }
+        this.findEvent(keyID + 'multi').title = `${title} pressed more than ${KEY_PRESS_EVENTS.length} times`;
+        this.findEvent(keyID + 'long').title = `${title} long press`;
+        this.findEvent(keyID + 'hold').title = `${title} hold started`;
+        this.findEvent(keyID + 'release').title = `${title} released after hold`;
+        if(this.hasProperty(keyID + 'Action')) {
+            this.findProperty(keyID + 'Action').title = `${title} Local Action`;
+            this.findProperty(keyID + 'Bindings').title = `${title} Local Bindings`;
         }
     }
 
-    connectedNotify(state) {
-        super.connectedNotify(state);
-        this.connected = state;
+    addDeviceInfo() {
+        this.addProperty(new BasicDingzProperty(this, 'firmwareVersion', {
+            title: 'Firmware Version',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'hardwareVersion', {
+            title: 'Hardware Revision',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'frontModel', {
+            title: 'Front Model',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'puckModel', {
+            title: 'Base Model',
+            type: 'string',
+            readOnly: true
+        }));
+        // The uptime is only read with the configuration, the start time stays correct in between
+        this.addProperty(new BasicDingzProperty(this, 'startTime', {
+            title: 'Running Since',
+            type: 'string',
+            readOnly: true
+        }));
+        this.addProperty(new BasicDingzProperty(this, 'updateAvailable', {
+            title: 'Firmware Update Available',
+            type: 'boolean',
+            readOnly: true
+        }));
+        this.addAction('reboot', {
+            title: 'Reboot'
+        });
+        this.addAction('updateFirmware', {
+            title: 'Update firmware'
+        });
     }
 
-    async poll() {
-        if(!this.connected) {
-            return;
-        }
-        const state = await this.apiCall('state');
-        if (!state) {
-            return;
+    setDeviceInfo(deviceInfo, update) {
+        for(const [name, field] of Object.entries(DEVICE_INFO)) {
+            const property = this.findProperty(name);
+            property.visible = deviceInfo.hasOwnProperty(field);
+            if(property.visible) {
+                property.setCachedValueAndNotify(deviceInfo[field]);
+            }
         }
-        if(state.sensors.brightness !== null) {
-            this.findProperty('lightLevel').setCachedValueAndNotify(state.sensors.brightness);
+        const startTimeProperty = this.findProperty('startTime');
+        startTimeProperty.visible = deviceInfo.hasOwnProperty('uptime');
+        if(startTimeProperty.visible) {
+            const startTime = Date.now() - deviceInfo.uptime * 1000;
+            if(!startTimeProperty.value || Math.abs(Date.parse(startTimeProperty.value) - startTime) >= START_TIME_RESOLUTION) {
+                startTimeProperty.setCachedValueAndNotify(new Date(startTime).toISOString());
+            }
         }
-        if(state.sensors.hasOwnProperty('room_temperature')) {
-            this.findProperty('temperature').setCachedValueAndNotify(state.sensors.room_temperature);
+        const updateProperty = this.findProperty('updateAvailable');
+        updateProperty.visible = !!update;
+        this.findAction('updateFirmware').visible = !!update;
+        if(update) {
+            updateProperty.setCachedValueAndNotify(!!update.available);
         }
-        this.findProperty('led').setCachedValueAndNotify(state.led.on);
-        const color = state.led.mode === 'hsv' ? hsv2rgb(state.led.hsv) : state.led.rgb;
-        this.findProperty('ledColor').setCachedValueAndNotify(`#${color}`);
+    }
 
-        for(const dimmer of state.dimmers) {
-            if((dimmer.index.absolute > 1 && this.dimmerGroup2) || (dimmer.index.absolute <= 1 && this.dimmerGroup1)) {
-                const dimmerID = `dimmer${dimmer.index.absolute + 1}`;
-                this.findProperty(dimmerID).setCachedValueAndNotify(dimmer.on);
-                this.findProperty(dimmerID + 'Brightness').setCachedValueAndNotify(dimmer.value);
-                this.findProperty(dimmerID + 'Power').setCachedValueAndNotify(state.sensors.power_outputs[dimmer.index.absolute].value);
-            }
+    async restart(command) {
+        if(this.restarting) {
+            throw new Error(`${this.id} is already restarting`);
+        }
+        this.restarting = true;
+        try {
+            await this.apiCall(command, 'POST')
+                .catch((error) => {
+                    // The dingz may drop the connection when it restarts right away
+                    if(error.type !== 'system') {
+                        throw error;
+                    }
+                });
+            this.connectedNotify(false);
+            await delay(RESTART_DELAY);
+            const timeout = Date.now() + RESTART_TIMEOUT;
+            let info;
+            while(!info && !this.destroyed && Date.now() < timeout) {
+                info = await this.apiCall('device').catch(() => undefined);
+                if(!info) {
+                    await delay(RESTART_POLL_INTERVAL);
+                }
+            }
+            if(!info) {
+                throw new Error(`${this.id} did not come back after ${command}`);
+            }
+        }
+        finally {
+            this.restarting = false;
+        }
+        this.markAlive();
+    }
+
+    getKeyName(index, defaultName = `Key ${index}`) {
+        const button = this.buttonConfig && this.buttonConfig.buttons && this.buttonConfig.buttons[index - 1];
+        if(button && button.name) {
+            return button.name;
+        }
+        return defaultName;
+    }
+
+    addKeyBindings() {
+        const buttons = this.buttonConfig.buttons || [];
+        const outputs = [
+            NO_LOCAL_OUTPUT,
+            ...[ 1, 2, 3, 4 ].map((index) => `dimmer${index}`).filter((dimmerID) => this.hasOutput(dimmerID)),
+            ...this.getOutputs('shade')
+        ];
+        const keys = [];
+        buttons.forEach((button, buttonIndex) => {
+            const keyID = `key${buttonIndex + 1}`;
+            if(!button || !this.hasProperty(keyID)) {
+                return;
+            }
+            keys.push(buttonIndex + 1);
+            this.addProperty(new DingzProperty(this, keyID + 'Action', {
+                type: 'string',
+                enum: outputs
+            }));
+            this.addProperty(new BasicDingzProperty(this, keyID + 'Bindings', {
+                type: 'string',
+                readOnly: true
+            }));
+            this.setKeyTitle(keyID, this.findProperty(keyID).title);
+        });
+        if(!keys.length) {
+            return;
+        }
+        this.addAction('remapKey', {
+            title: 'Remap key',
+            input: {
+                type: 'object',
+                required: [
+                    'key',
+                    'press',
+                    'output'
+                ],
+                properties: {
+                    key: {
+                        type: 'integer',
+                        enum: keys
+                    },
+                    press: {
+                        type: 'string',
+                        enum: LOCAL_KEY_PRESSES
+                    },
+                    output: {
+                        type: 'string',
+                        enum: outputs
+                    }
+                }
+            }
+        });
+        this.setButtonConfig(this.buttonConfig);
+    }
+
+    setButtonConfig(config) {
+        this.buttonConfig = config;
+        (config.buttons || []).forEach((button, buttonIndex) => {
+            const keyID = `key${buttonIndex + 1}`;
+            if(!button || !this.hasProperty(keyID + 'Action')) {
+                return;
+            }
+            const actions = button.actions || {};
+            this.findProperty(keyID + 'Action').setCachedValueAndNotify(actions.single || NO_LOCAL_OUTPUT);
+            const bindings = LOCAL_KEY_PRESSES.filter((press) => actions[press])
+                .map((press) => `${press}: ${actions[press]}`);
+            this.findProperty(keyID + 'Bindings').setCachedValueAndNotify(bindings.join(', ') || NO_LOCAL_OUTPUT);
+        });
+    }
+
+    // NO_LOCAL_OUTPUT unbinds the press, so only the gateway handles it
+    async updateKeyBinding(key, press, output) {
+        if(!LOCAL_KEY_PRESSES.includes(press)) {
+            throw new Error(`Unknown key press ${press}`);
+        }
+        const currentConfig = this.buttonConfig || await this.apiCall('button_config');
+        if(!currentConfig) {
+            throw new Error(`Could not read button configuration of ${this.id}`);
+        }
+        const config = JSON.parse(JSON.stringify(currentConfig));
+        const button = config.buttons && config.buttons[key - 1];
+        if(!button) {
+            throw new Error(`${this.id} has no key ${key}`);
+        }
+        button.actions = Object.assign({}, button.actions, {
+            [press]: output === NO_LOCAL_OUTPUT ? null : output
+        });
+        await this.apiCall('button_config', 'POST', JSON.stringify(config));
+        this.setButtonConfig(config);
+    }
+
+    splitThings() {
+        for(const index of [ 1, 2, 3, 4 ]) {
+            const dimmerID = `dimmer${index}`;
+            if(this.hasOutput(dimmerID)) {
+                const kind = this.outputKinds[dimmerID] || OUTPUT_KINDS.light;
+                this.addChild(dimmerID, [
+                    kind.capability,
+                    'EnergyMonitor'
+                ], (name) => name.startsWith(dimmerID));
+            }
+        }
+        for(const shadeID of this.getOutputs('shade')) {
+            this.addChild(shadeID, [
+                'Shade',
+                'EnergyMonitor'
+            ], (name) => name.startsWith(shadeID));
+        }
+        if(this.thermostat) {
+            const thermostatNames = [
+                'temperature',
+                'targetTemperature',
+                'thermostatMode',
+                'thermostatState',
+                ...Object.keys(THERMOSTAT_SETTINGS)
+            ];
+            const valveID = `dimmer${this.thermostatOutput + 1}`;
+            this.addChild('thermostat', [
+                'Thermostat',
+                'TemperatureSensor',
+                'EnergyMonitor'
+            ], (name) => thermostatNames.includes(name) || name === valveID + 'Power' || name === valveID + 'Energy');
+        }
+        const sensorTypes = [];
+        if(this.properties.has('temperature')) {
+            sensorTypes.push('TemperatureSensor');
+        }
+        if(this.motionSensor) {
+            sensorTypes.push('MotionSensor');
+        }
+        this.addChild('sensors', sensorTypes, (name) => name === 'temperature' || name === 'lightLevel' || name === 'occupied' || name.startsWith('motion'));
+        this['@type'] = this['@type'].filter((type) => [ 'ColorControl', 'PushButton', 'BinarySensor' ].includes(type));
+    }
+
+    getChildTitle(suffix) {
+        if(suffix.startsWith('dimmer')) {
+            return `${this.title} ${this.findProperty(suffix).title}`;
+        }
+        if(suffix.startsWith('shade')) {
+            const index = parseInt(suffix.slice(5), 10);
+            const shadeConfig = this.blindConfig && this.blindConfig.blinds[index - 1];
+            return `${this.title} ${(shadeConfig && shadeConfig.name) || `Shade ${index}`}`;
+        }
+        if(suffix === 'thermostat') {
+            return `${this.title} Thermostat`;
+        }
+        return `${this.title} Sensors`;
+    }
+
+    addChild(suffix, types, owns) {
+        const child = new DingzChild(this, suffix, this.getChildTitle(suffix), types);
+        for(const [name, property] of this.properties) {
+            if(owns(name)) {
+                property.device = child;
+                child.properties.set(name, property);
+                this.properties.delete(name);
+            }
+        }
+        for(const [name, metadata] of this.actions) {
+            if(owns(name)) {
+                child.actions.set(name, metadata);
+                this.actions.delete(name);
+            }
+        }
+        for(const [name, metadata] of this.events) {
+            if(owns(name)) {
+                child.events.set(name, metadata);
+                this.events.delete(name);
+            }
+        }
+        this.children.push(child);
+    }
+
+    getSetting(name, defaultValue) {
+        if(this.settings.hasOwnProperty(name)) {
+            return this.settings[name];
+        }
+        if(this.adapter.config.hasOwnProperty(name)) {
+            return this.adapter.config[name];
+        }
+        return defaultValue;
+    }
+
+    updateFromDiscovery(address) {
+        if(address && !address.includes(':')) {
+            this.address = address;
+        }
+        // Don't wait for the next attempt now that the dingz responds
+        if(this.setupTimeout) {
+            clearTimeout(this.setupTimeout);
+            delete this.setupTimeout;
+            this.setup();
+        }
+        this.markAlive();
+    }
+
+    markAlive(refresh = true) {
+        const now = Date.now();
+        this.lastSeen = now;
+        // Stays disconnected until the restart is over
+        if(!this.initialized || this.restarting) {
+            return;
+        }
+        if(!this.connected) {
+            this.connectedNotify(true);
+            this.reconnect(refresh)
+                .catch((error) => console.error('Could not restore', this.id, 'after it came back online', error));
+        }
+        const lastSeenProperty = this.findProperty('lastSeen');
+        if(lastSeenProperty && (!this.lastSeenNotified || now - this.lastSeenNotified >= LAST_SEEN_RESOLUTION)) {
+            this.lastSeenNotified = now;
+            lastSeenProperty.setCachedValueAndNotify(new Date(now).toISOString());
+        }
+        clearTimeout(this.offlineTimeout);
+        const offlineTimeout = this.getSetting('offlineTimeout', 300);
+        if(offlineTimeout) {
+            this.offlineTimeout = setTimeout(() => {
+                delete this.offlineTimeout;
+                console.warn(this.id, 'was not seen for', offlineTimeout, 'seconds');
+                this.connectedNotify(false);
+            }, offlineTimeout * 1000);
+        }
+    }
+
+    // The config may have been reset while the dingz was offline
+    async reconnect(refresh) {
+        if(this.mqtt && this.mqtt === this.adapter.mqtt && !this.getSetting('keepMqttConfig', false)) {
+            await this.configureMqtt();
+        }
+        if(this.adapter.config.buttonEvents === 'http') {
+            await this.configureActionCallback();
+        }
+        this.pollFailures = 0;
+        await this.checkConfig();
+        if(refresh && this.initialized) {
+            await this.poll();
+        }
+    }
+
+    // Parts of the config deciding which properties, actions, events and children the dingz has
+    getLayout(deviceInfo, thermostatState, outputs, inputConfig, dimmerConfig) {
+        const input = inputConfig && inputConfig.inputs && inputConfig.inputs[0];
+        return JSON.stringify({
+            dipConfig: deviceInfo.dip_config,
+            pir: deviceInfo.has_pir,
+            thermostat: !!(thermostatState && thermostatState.active),
+            outputs: (outputs || []).map((output) => output && output.enable && output.type),
+            input: !!(input && input.active),
+            dimmers: dimmerConfig ? dimmerConfig.dimmers.map((dimmer) => dimmer.active && dimmer.type) : []
+        });
+    }
+
+    startConfigCheck() {
+        this.stopConfigCheck();
+        const configInterval = this.getSetting('configInterval', 600);
+        if(configInterval) {
+            this.configInterval = setInterval(() => {
+                this.checkConfig()
+                    .catch((error) => console.error('Could not check configuration of', this.id, error));
+            }, configInterval * 1000);
+        }
+    }
+
+    stopConfigCheck() {
+        clearInterval(this.configInterval);
+        delete this.configInterval;
+    }
+
+    // Rebuilds the dingz if its layout changed, otherwise updates names and settings in place
+    async checkConfig() {
+        if(!this.initialized) {
+            return;
+        }
+        const failedReads = [];
+        const readConfig = async (path, needed = true) => {
+            if(!needed) {
+                return;
+            }
+            try {
+                const config = await this.apiCall(path);
+                if(config === undefined) {
+                    failedReads.push(path);
+                }
+                return config;
+            }
+            catch(error) {
+                failedReads.push(path);
+            }
+        };
+        const [ info, systemConfig, thermostatState, outputs, inputConfig, buttonConfig, blindConfig, dimmerConfig, thermostatConfig, pirConfig, update ] = await Promise.all([
+            readConfig('device'),
+            readConfig('system_config'),
+            readConfig('thermostat'),
+            readConfig('outputs'),
+            readConfig('input_config'),
+            readConfig('button_config'),
+            readConfig('blind_config', this.shade1 || this.shade2),
+            readConfig('dimmer_config', this.dimmerGroup1 || this.dimmerGroup2),
+            readConfig('thermostat_config', this.thermostat),
+            readConfig('pir_config', this.motionSensor),
+            readConfig('update')
+        ]);
+        const deviceInfo = info && info[this.mac];
+        // Incomplete answers would look like a different layout
+        if(!this.initialized || !this.connected || !deviceInfo) {
+            return;
+        }
+        const failedLayoutReads = failedReads.filter((path) => LAYOUT_CONFIG.includes(path) && !this.missingLayoutConfig.includes(path));
+        if(failedLayoutReads.length) {
+            console.warn('Skipping configuration check of', this.id, 'after failing to read', failedLayoutReads.join(', '));
+            return;
+        }
+        const layout = this.getLayout(deviceInfo, thermostatState, outputs, inputConfig, dimmerConfig);
+        if(layout !== this.layout) {
+            console.warn(this.id, 'changed its configuration from', this.layout, 'to', layout);
+            this.setup();
+            return;
+        }
+
+        const things = [ this, ...this.children.filter((child) => !this.removedChildren.has(child.id)) ];
+        const previousDescriptions = things.map((thing) => JSON.stringify(thing.asDict()));
+        this.setDeviceInfo(deviceInfo, update);
+        if(systemConfig) {
+            this.setTitle(`${systemConfig.room_name} - ${systemConfig.dingz_name}`);
+        }
+        if(buttonConfig) {
+            this.buttonConfig = buttonConfig;
+            for(const index of [ 1, 2, 3, 4, 5 ]) {
+                if(this.hasProperty(`key${index}`)) {
+                    this.setKeyTitle(`key${index}`, this.getKeyName(index, index === 5 ? 'Input' : undefined));
+                }
+            }
+            if(this.findAction('remapKey')) {
+                this.setButtonConfig(buttonConfig);
+            }
+        }
+        if(blindConfig) {
+            for(const shadeID of this.getOutputs('shade')) {
+                this.setShadeConfig(parseInt(shadeID.slice(5), 10), blindConfig);
+            }
+        }
+        if(dimmerConfig) {
+            for(const index of [ 1, 2, 3, 4 ]) {
+                if(this.hasProperty(`dimmer${index}`)) {
+                    this.setDimmerConfig(index, dimmerConfig);
+                }
+            }
+        }
+        if(thermostatConfig) {
+            this.setThermostatConfig(thermostatConfig);
+        }
+        if(pirConfig) {
+            this.setPirConfig(pirConfig);
+        }
+        for(const child of this.children) {
+            child.setTitle(this.getChildTitle(child.suffix));
+        }
+        // Adding a known thing again updates its description in the gateway
+        things.forEach((thing, index) => {
+            if(JSON.stringify(thing.asDict()) !== previousDescriptions[index]) {
+                this.adapter.handleDeviceAdded(thing);
+            }
+        });
+    }
+
+    addRemovedChildren() {
+        const removedChildren = this.removedChildren;
+        this.removedChildren = new Set();
+        if(!this.initialized) {
+            return;
+        }
+        for(const child of this.children) {
+            if(removedChildren.has(child.id)) {
+                this.adapter.handleDeviceAdded(child);
+            }
+        }
+    }
+
+    connectedNotify(state) {
+        super.connectedNotify(state);
+        for(const child of this.children) {
+            child.connectedNotify(state);
+        }
+        this.connected = state;
+    }
+
+    startPolling() {
+        this.stopPolling();
+        const { pollInterval = 60 } = this.adapter.config;
+        if(!pollInterval) {
+            return;
+        }
+        this.pollInterval = pollInterval;
+        this.polling = true;
+        this.pollFailures = 0;
+        this.schedulePoll(0);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        // Stops running LED actions
+        const { ledAnimation } = this;
+        delete this.ledAnimation;
+        if(ledAnimation) {
+            this.stopLedAnimation(ledAnimation);
+        }
+        this.stopPolling();
+        this.stopConfigCheck();
+        clearTimeout(this.setupTimeout);
+        delete this.setupTimeout;
+        clearTimeout(this.offlineTimeout);
+        delete this.offlineTimeout;
+        clearTimeout(this.occupancyTimeout);
+        delete this.occupancyTimeout;
+        for(const keyReleaseTimeout of this.keyReleaseTimeouts.values()) {
+            clearTimeout(keyReleaseTimeout);
+        }
+        this.keyReleaseTimeouts.clear();
+    }
+
+    stopPolling() {
+        this.polling = false;
+        if(this.pollTimeout) {
+            clearTimeout(this.pollTimeout);
+            delete this.pollTimeout;
+        }
+    }
+
+    schedulePoll(delay) {
+        this.pollTimeout = setTimeout(async () => {
+            delete this.pollTimeout;
+            const { pollInterval } = this;
+            let nextPoll = pollInterval;
+            // MQTT keeps the state fresh, only poll once it has gone quiet.
+            if(!this.lastMqttUpdate || Date.now() - this.lastMqttUpdate >= pollInterval * 1000) {
+                let reachable = false;
+                try {
+                    reachable = await this.poll();
+                }
+                catch(error) {
+                    console.error('Polling', this.id, 'failed:', error);
+                }
+                if(reachable) {
+                    this.pollFailures = 0;
+                }
+                else {
+                    this.pollFailures += 1;
+                    nextPoll = Math.min(pollInterval * (2 ** this.pollFailures), Math.max(pollInterval, MAX_POLL_INTERVAL));
+                }
+            }
+            if(this.polling) {
+                this.schedulePoll(nextPoll);
+            }
+        }, delay * 1000);
+    }
+
+    async poll() {
+        const state = await this.apiCall('state');
+        if (!state) {
+            return false;
+        }
+        this.markAlive(false);
+        if(state.sensors.brightness !== null) {
+            this.findProperty('lightLevel').setCachedValueAndNotify(state.sensors.brightness);
+        }
+        if(state.sensors.hasOwnProperty('room_temperature')) {
+            this.findProperty('temperature').setCachedValueAndNotify(state.sensors.room_temperature);
+        }
+        if(this.input === 'contact' && state.inputs && state.inputs[0]) {
+            this.findProperty('input').setCachedValueAndNotify(state.inputs[0].state);
+        }
+        this.findProperty('led').setCachedValueAndNotify(state.led.on);
+        const color = state.led.mode === 'hsv' ? hsv2rgb(state.led.hsv) : state.led.rgb;
+        this.findProperty('ledColor').setCachedValueAndNotify(`#${color}`);
+        const ledBrightness = state.led.mode === 'hsv' ? parseInt(state.led.hsv.split(';')[2], 10) : rgb2hsv(hex2rgb(`#${color}`)).v;
+        this.findProperty('ledBrightness').setCachedValueAndNotify(ledBrightness);
+
+        for(const dimmer of state.dimmers) {
+            if((dimmer.index.absolute > 1 && this.dimmerGroup2) || (dimmer.index.absolute <= 1 && this.dimmerGroup1)) {
+                const dimmerID = `dimmer${dimmer.index.absolute + 1}`;
+                this.findProperty(dimmerID).setCachedValueAndNotify(dimmer.on);
+                this.findProperty(dimmerID + 'Brightness').setCachedValueAndNotify(dimmer.value);
+                this.findProperty(dimmerID + 'Power').setCachedValueAndNotify(state.sensors.power_outputs[dimmer.index.absolute].value);
+                if(state.sensors.energy_outputs) {
+                    this.updateEnergy(dimmerID + 'Energy', state.sensors.energy_outputs[dimmer.index.absolute].value);
+                }
+            }
         }
 
         for(const blind of state.blinds) {
             if((blind.index.absolute === 0 && this.shade1) || (blind.index.absolute === 1 && this.shade2)) {
                 const shadeID = `shade${blind.index.absolute + 1}`;
-                this.findProperty(shadeID).setCachedValueAndNotify(blind.position);
-                this.findProperty(shadeID + 'Lamella').setCachedValueAndNotify(blind.lamella);
+                this.updateShade(blind.index.absolute + 1, blind);
                 const baseIndex = blind.index.absolute * 2;
                 const motor1Power = state.sensors.power_outputs[baseIndex].value;
                 const motor2Power = state.sensors.power_outputs[baseIndex + 1].value;
                 this.findProperty(shadeID + 'Power').setCachedValueAndNotify(motor1Power || motor2Power);
+                if(state.sensors.energy_outputs) {
+                    const motor1Energy = state.sensors.energy_outputs[baseIndex].value;
+                    const motor2Energy = state.sensors.energy_outputs[baseIndex + 1].value;
+                    this.updateEnergy(shadeID + 'Energy', motor1Energy + motor2Energy);
+                }
             }
         }
 
@@ -885,6 +2706,84 @@ class Dingz extends Device {
             const thermostatState = state.thermostat.on ? state.thermostat.mode : 'off';
             this.findProperty('thermostatState').setCachedValueAndNotify(thermostatState);
             this.findProperty(`dimmer${this.thermostatOutput + 1}Power`).setCachedValueAndNotify(state.sensors.power_outputs[this.thermostatOutput].value);
+            if(state.sensors.energy_outputs) {
+                this.updateEnergy(`dimmer${this.thermostatOutput + 1}Energy`, state.sensors.energy_outputs[this.thermostatOutput].value);
+            }
+        }
+        return true;
+    }
+}
+
+// Part of a dingz exposed as its own thing, the dingz performs its actions
+class DingzChild extends Device {
+    constructor(parent, suffix, title, types) {
+        super(parent.adapter, `${parent.id}-${suffix}`);
+        this.parent = parent;
+        this.suffix = suffix;
+        this.setTitle(title);
+        this.setDescription('Dingz Puck');
+        this['@type'] = types;
+    }
+
+    get links() {
+        return this.parent.links;
+    }
+
+    set links(val) {}
+
+    asDict() {
+        return removeHidden(super.asDict());
+    }
+
+    performAction(action) {
+        return this.parent.performAction(action);
+    }
+}
+
+class DingzGroup extends Device {
+    constructor(adapter, groupConfig, index) {
+        super(adapter, `dingz-group-${index}-${groupConfig.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`);
+        this.members = groupConfig.members || [];
+        this.setTitle(groupConfig.name);
+        this.setDescription('Group of dingz outputs');
+        for(const [name, groupAction] of Object.entries(GROUP_ACTIONS)) {
+            this.addAction(name, {
+                title: groupAction.title
+            });
+        }
+        this.addEvent('failed', {
+            title: 'Command failed for some members',
+            type: 'array',
+            items: {
+                type: 'string'
+            }
+        });
+        adapter.handleDeviceAdded(this);
+    }
+
+    async performAction(action) {
+        if(!GROUP_ACTIONS.hasOwnProperty(action.name)) {
+            console.error("Unknown group action", action.name);
+            return;
+        }
+        const failures = [];
+        const members = this.members.filter((member) => !member.output || member.output.startsWith(GROUP_ACTIONS[action.name].output));
+        await Promise.all(members.map(async (member) => {
+            const memberID = member.output ? `${member.mac} ${member.output}` : member.mac;
+            try {
+                const device = this.adapter.getDevice(`dingz-${normalizeMac(member.mac).toLowerCase()}`);
+                if(!device) {
+                    throw new Error('Device not found');
+                }
+                await device.performGroupAction(action.name, member.output);
+            }
+            catch(error) {
+                console.error(this.id, 'failed to', action.name, 'for', memberID, error);
+                failures.push(memberID);
+            }
+        }));
+        if(failures.length) {
+            this.eventNotify(new Event(this, 'failed', failures));
         }
     }
 }
@@ -893,39 +2792,334 @@ class DingzAdapter extends Adapter {
     constructor(addonManager) {
         super(addonManager, manifest.id, manifest.id);
         addonManager.addAdapter(this);
-        this.mqtt = new DingzMQTT(this);
+        this.config = {};
+        this.brokers = new Map();
+        const { dataDir } = this.getUserProfile();
+        this.storage = new Storage(path.join(dataDir, manifest.id, 'storage.json'));
+        this.loaded = Promise.all([
+            this.loadConfig(),
+            this.storage.load()
+        ])
+            .then(() => {
+                this.startMqtt();
+                this.addGroups();
+                this.startThermostatSchedule();
+            });
+        this.retryTimeouts = new Set();
+        // Dingz that are still being set up, by device ID
+        this.pendingDevices = new Map();
+        this.addConfiguredDevices()
+            .catch((error) => console.error('Could not add configured devices', error));
+    }
+
+    async loadConfig() {
+        const db = new Database(manifest.id);
+        await db.open();
+        this.config = await db.loadConfig();
+    }
+
+    async saveConfig() {
+        const db = new Database(manifest.id);
+        await db.open();
+        await db.saveConfig(this.config);
+    }
+
+    isIgnored(mac) {
+        const { ignoredDevices = [] } = this.config;
+        return ignoredDevices.some((ignoredMac) => normalizeMac(ignoredMac) === normalizeMac(mac));
+    }
+
+    setIgnored(mac, ignored) {
+        const { ignoredDevices = [] } = this.config;
+        const others = ignoredDevices.filter((ignoredMac) => normalizeMac(ignoredMac) !== normalizeMac(mac));
+        this.config.ignoredDevices = ignored ? [ ...others, normalizeMac(mac) ] : others;
+        return this.saveConfig();
     }
 
-    handleDiscovery(deviceSpec) {
+    startMqtt() {
+        const {
+            host = 'localhost',
+            port = 1883,
+            deviceHost,
+            tls = false,
+            username,
+            password,
+            ca,
+            clientCert,
+            clientKey,
+            topicPrefix = DEFAULT_PREFIX
+        } = this.config;
+        if(!host) {
+            return;
+        }
+        const protocol = tls ? 'mqtts' : 'mqtt';
+        // The dingz can't reach the broker via the loopback address of the gateway.
+        let brokerHost = deviceHost || host;
+        if(!deviceHost && isLoopback(host)) {
+            brokerHost = getLocalAddress() || host;
+        }
+        const credentials = {};
+        const certificates = {};
+        if(username) {
+            credentials.username = username;
+            credentials.password = password;
+        }
+        if(tls) {
+            certificates.ca = ca;
+            certificates.cert = clientCert;
+            certificates.key = clientKey;
+        }
+        this.mqtt = new DingzMQTT(this, {
+            address: `${protocol}://${host}:${port}`,
+            deviceAddress: `${protocol}://${brokerHost}:${port}`,
+            credentials,
+            certificates,
+            prefix: topicPrefix.replace(/^\/+|\/+$/g, '') || DEFAULT_PREFIX
+        });
+    }
+
+    getBroker(mqttConfig) {
+        const brokerHost = new URL(mqttConfig.uri).host;
+        const prefix = mqttConfig.prefix || DEFAULT_PREFIX;
+        // Messages are only matched within the prefix of the client
+        if(this.mqtt && new URL(this.mqtt.deviceAddress).host === brokerHost && this.mqtt.prefix === prefix) {
+            return this.mqtt;
+        }
+        // One client per prefix, each only subscribes to its own topics
+        const brokerKey = `${mqttConfig.uri} ${prefix}`;
+        if(!this.brokers.has(brokerKey)) {
+            this.brokers.set(brokerKey, new DingzMQTT(this, {
+                address: mqttConfig.uri,
+                certificates: {
+                    ca: mqttConfig['server.crt'] || undefined,
+                    cert: mqttConfig['client.crt'] || undefined,
+                    key: mqttConfig['client.key'] || undefined
+                },
+                prefix
+            }));
+        }
+        return this.brokers.get(brokerKey);
+    }
+
+    getDeviceSettings(deviceSpec) {
+        const { devices = [] } = this.config;
+        const mac = normalizeMac(deviceSpec.mac);
+        const settings = devices.find((deviceConfig) => {
+            if(deviceConfig.mac) {
+                return normalizeMac(deviceConfig.mac) === mac;
+            }
+            return deviceConfig.address === deviceSpec.address;
+        });
+        return settings || {};
+    }
+
+    startThermostatSchedule() {
+        const { thermostatSchedule = [] } = this.config;
+        if(!thermostatSchedule.length) {
+            return;
+        }
+        this.thermostatSchedule = new WeeklySchedule(thermostatSchedule, (entry, starting) => {
+            const device = this.getDevice(`dingz-${normalizeMac(entry.mac).toLowerCase()}`);
+            if(!device || !device.thermostat) {
+                // Devices added later get the active entry once they are ready
+                if(!starting) {
+                    console.warn('No thermostat for scheduled target temperature of', entry.mac);
+                }
+                return;
+            }
+            this.applyThermostatSchedule(device, entry);
+        }, (entry) => normalizeMac(entry.mac));
+        this.thermostatSchedule.start();
+    }
+
+    applyThermostatSchedule(device, entry) {
+        device.setProperty('targetTemperature', entry.target)
+            .catch((error) => console.error('Could not set scheduled target temperature of', device.id, error));
+    }
+
+    addGroups() {
+        const { groups = [] } = this.config;
+        for(const [index, groupConfig] of groups.entries()) {
+            new DingzGroup(this, groupConfig, index);
+        }
+    }
+
+    async addConfiguredDevices(pairing = false) {
+        await this.loaded;
+        const { devices = [] } = this.config;
+        for(const deviceConfig of devices) {
+            // Entries with only a MAC address configure a discovered dingz
+            if(!deviceConfig.address) {
+                continue;
+            }
+            this.addConfiguredDevice(deviceConfig, pairing);
+        }
+    }
+
+    // While pairing, configured devices are added even if they were removed before
+    async addConfiguredDevice(deviceConfig, pairing = false) {
+        try {
+            const response = await fetch(`http://${deviceConfig.address}/api/v1/device`, {
+                timeout: API_TIMEOUT
+            });
+            if(!response.ok) {
+                throw new Error(`${response.status}: ${await response.text()}`);
+            }
+            const info = await response.json();
+            const macs = Object.keys(info);
+            let mac = macs[0];
+            if(deviceConfig.mac) {
+                mac = normalizeMac(deviceConfig.mac);
+                if(!macs.includes(mac)) {
+                    throw new Error(`Device at ${deviceConfig.address} is not ${deviceConfig.mac}`);
+                }
+            }
+            this.handleDiscovery({
+                mac,
+                address: deviceConfig.address
+            }, pairing);
+        }
+        catch(error) {
+            console.error('Could not add configured device', deviceConfig.address, error);
+            // Startup keeps retrying, pairing is tried again with the next pairing
+            if(pairing) {
+                return;
+            }
+            const retryTimeout = setTimeout(() => {
+                this.retryTimeouts.delete(retryTimeout);
+                this.addConfiguredDevice(deviceConfig);
+            }, CONFIGURED_DEVICE_RETRY);
+            this.retryTimeouts.add(retryTimeout);
+        }
+    }
+
+    handleDiscovery(deviceSpec, pairing = false) {
         const deviceId = `dingz-${deviceSpec.mac.toLowerCase()}`;
         if (this.devices.hasOwnProperty(deviceId)) {
             this.getDevice(deviceId).updateFromDiscovery(deviceSpec.address);
             return;
         }
+        if(this.pendingDevices.has(deviceId)) {
+            this.pendingDevices.get(deviceId).updateFromDiscovery(deviceSpec.address);
+            return;
+        }
+        if(this.isIgnored(deviceSpec.mac)) {
+            // Removed devices only come back when discovered while pairing
+            if(!this.discovery && !pairing) {
+                return;
+            }
+            this.setIgnored(deviceSpec.mac, false)
+                .catch((error) => console.error('Could not save ignored devices', error));
+        }
 
-        new Dingz(this, deviceSpec);
+        this.pendingDevices.set(deviceId, new Dingz(this, deviceSpec));
     }
 
     startDiscovery() {
         this.discovery = new DingzDiscovery(this.handleDiscovery.bind(this));
     }
 
+    stopDiscovery() {
+        if(this.discovery) {
+            this.discovery.destroy();
+            delete this.discovery;
+        }
+    }
+
+    startPairing(timeoutSeconds) {
+        super.startPairing(timeoutSeconds);
+        if(!this.discovery) {
+            this.startDiscovery();
+        }
+        for(const device of Object.values(this.devices)) {
+            if(device instanceof Dingz) {
+                device.addRemovedChildren();
+            }
+        }
+        // mDNS may not reach configured devices
+        this.addConfiguredDevices(true)
+            .catch((error) => console.error('Could not add configured devices', error));
+    }
+
+    cancelPairing() {
+        super.cancelPairing();
+        this.stopDiscovery();
+    }
+
+    async removeThing(device) {
+        if(device instanceof Dingz) {
+            if(this.config.resetOnRemove) {
+                try {
+                    await device.resetConfig();
+                }
+                catch(error) {
+                    console.error('Could not reset configuration of', device.id, error);
+                }
+            }
+            try {
+                await this.setIgnored(device.mac, true);
+            }
+            catch(error) {
+                console.error('Could not save ignored devices', error);
+            }
+        }
+        else if(device instanceof DingzChild) {
+            device.parent.removedChildren.add(device.id);
+        }
+        super.removeThing(device);
+    }
+
     handleDeviceAdded(device) {
+        const firstAdded = this.pendingDevices.delete(device.id);
         super.handleDeviceAdded(device);
+        if(firstAdded && this.thermostatSchedule && device.thermostat) {
+            for(const entry of this.thermostatSchedule.getActiveEntries(new Date(), device.mac)) {
+                this.applyThermostatSchedule(device, entry);
+            }
+        }
     }
 
     handleDeviceRemoved(device) {
+        if(device instanceof Dingz) {
+            device.destroy();
+            WebEventEndpoint.removeDevice(device);
+            for(const child of device.children) {
+                if(this.devices.hasOwnProperty(child.id)) {
+                    super.handleDeviceRemoved(child);
+                }
+            }
+        }
         super.handleDeviceRemoved(device);
     }
 
     unload() {
-        if(this.discovery) {
-            this.discovery.destroy();
-            delete this.discovery;
+        this.stopDiscovery();
+        if(this.mqtt) {
+            this.mqtt.destroy();
+        }
+        for(const broker of this.brokers.values()) {
+            broker.destroy();
+        }
+        this.brokers.clear();
+        WebEventEndpoint.destroy();
+        if(this.thermostatSchedule) {
+            this.thermostatSchedule.stop();
+        }
+        for(const retryTimeout of this.retryTimeouts) {
+            clearTimeout(retryTimeout);
+        }
+        this.retryTimeouts.clear();
+        for(const device of Object.values(this.devices)) {
+            if(device instanceof Dingz) {
+                device.destroy();
+            }
+        }
+        for(const device of this.pendingDevices.values()) {
+            device.destroy();
         }
-        this.mqtt.destroy();
+        this.pendingDevices.clear();
 
-        return Promise.resolve();
+        return this.storage.save();
     }
 }
 
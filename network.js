@@ -0,0 +1,30 @@
+'use strict';
+
+const os = require('os');
+
+const LOOPBACK_HOSTS = [
+    'localhost',
+    '::1',
+];
+
+function getLocalAddress() {
+    const interfaces = os.networkInterfaces();
+    let address;
+    Object.values(interfaces).some((iface) => {
+        const interfaceDetail = iface.find((detail) => detail.family === 'IPv4' && !detail.internal);
+        if(interfaceDetail) {
+            address = interfaceDetail.address;
+            return true;
+        }
+    });
+    return address;
+}
+
+function isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host) || host.startsWith('127.');
+}
+
+module.exports = {
+    getLocalAddress,
+    isLoopback,
+};
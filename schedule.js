@@ -0,0 +1,105 @@
+'use strict';
+
+// In the order of Date#getDay
+const DAYS = [
+    'sunday',
+    'monday',
+    'tuesday',
+    'wednesday',
+    'thursday',
+    'friday',
+    'saturday',
+];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+// Guard against timers firing slightly before the full minute
+const TICK_MARGIN = 500;
+
+function parseTime(time) {
+    const [hours, minutes] = time.split(':');
+    return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+function minuteOfWeek(date) {
+    return date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+}
+
+// Entries with the same key replace each other, so on start the one in effect for each key is applied
+class WeeklySchedule {
+    constructor(entries, callback, getKey = () => '') {
+        this.entries = entries;
+        this.callback = callback;
+        this.getKey = getKey;
+    }
+
+    start() {
+        this.stop();
+        const now = new Date();
+        this.lastMinute = Math.floor(now.getTime() / 60000);
+        for(const entry of this.getActiveEntries(now)) {
+            this.callback(entry, true);
+        }
+        this.scheduleTick();
+    }
+
+    scheduleTick() {
+        const now = new Date();
+        const untilNextMinute = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
+        this.timeout = setTimeout(() => {
+            this.tick(new Date(Date.now() + TICK_MARGIN));
+            this.scheduleTick();
+        }, untilNextMinute);
+    }
+
+    tick(now) {
+        // A timer running late or early could otherwise fire the same minute twice
+        const minute = Math.floor(now.getTime() / 60000);
+        if(minute === this.lastMinute) {
+            return;
+        }
+        this.lastMinute = minute;
+        const current = minuteOfWeek(now);
+        for(const entry of this.entries) {
+            if(this.getOccurrences(entry).includes(current)) {
+                this.callback(entry, false);
+            }
+        }
+    }
+
+    getOccurrences(entry) {
+        const days = entry.days && entry.days.length ? entry.days : DAYS;
+        const time = parseTime(entry.time);
+        return days.map((day) => DAYS.indexOf(day) * MINUTES_PER_DAY + time);
+    }
+
+    getActiveEntries(now, key) {
+        const current = minuteOfWeek(now);
+        const active = new Map();
+        for(const entry of this.entries) {
+            const entryKey = this.getKey(entry);
+            if(key !== undefined && entryKey !== key) {
+                continue;
+            }
+            const age = Math.min(...this.getOccurrences(entry)
+                .map((occurrence) => (current - occurrence + MINUTES_PER_WEEK) % MINUTES_PER_WEEK));
+            if(!active.has(entryKey) || active.get(entryKey).age > age) {
+                active.set(entryKey, {
+                    entry,
+                    age
+                });
+            }
+        }
+        return Array.from(active.values(), ({ entry }) => entry);
+    }
+
+    stop() {
+        if(this.timeout) {
+            clearTimeout(this.timeout);
+            delete this.timeout;
+        }
+    }
+}
+
+module.exports = {
+    WeeklySchedule,
+};
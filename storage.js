@@ -0,0 +1,59 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 5000;
+
+// State that has to survive restarts of the adapter but isn't user configuration
+class Storage {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = {};
+    }
+
+    async load() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(contents);
+        }
+        catch(error) {
+            if(error.code !== 'ENOENT') {
+                console.error('Could not load', this.filePath, error);
+            }
+        }
+    }
+
+    get(key) {
+        return this.data[key];
+    }
+
+    set(key, value) {
+        this.data[key] = value;
+        this.scheduleSave();
+    }
+
+    delete(key) {
+        delete this.data[key];
+        this.scheduleSave();
+    }
+
+    scheduleSave() {
+        if(!this.saveTimeout) {
+            this.saveTimeout = setTimeout(() => {
+                this.save().catch((error) => console.error('Could not save', this.filePath, error));
+            }, SAVE_DELAY);
+        }
+    }
+
+    async save() {
+        if(this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            delete this.saveTimeout;
+        }
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(this.filePath, JSON.stringify(this.data));
+    }
+}
+
+module.exports = Storage;